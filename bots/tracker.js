@@ -0,0 +1,33 @@
+// Example bot for Crazy Pong: follows the closest ball coming its way
+// Load it with the Left Bot / Right Bot buttons, or loadBot() in Node
+
+export const name = 'Tracker';
+
+/**
+ * Decide the paddle input for one simulation step
+ * @param {Object} state - Read-only game state (see createSnapshot in modules/controllers.js)
+ * @param {string} side - Paddle side (left/right)
+ * @returns {Object} Paddle input ({ move, serve })
+ */
+export default function tracker(state, side) {
+    // While paddles are swapped our input steers the other paddle, so defend its goal instead
+    const steered = state.params.swapPaddles ? (side === 'left' ? 'right' : 'left') : side;
+    const paddle = state.paddles[steered];
+    const center = paddle.y + paddle.height / 2;
+    const towardUs = ball => (steered === 'left' ? ball.dx < 0 : ball.dx > 0);
+    
+    // Closest incoming ball, or the middle of the field when none is coming
+    const incoming = state.balls.filter(towardUs);
+    let targetY = state.field.y + state.field.height / 2;
+    if (incoming.length > 0) {
+        const distance = ball => Math.abs(ball.x - (paddle.x + paddle.width / 2));
+        targetY = incoming.reduce((a, b) => (distance(a) <= distance(b) ? a : b)).y;
+    }
+    
+    // Serve straight away, and stop within a few pixels of the target
+    const gap = targetY - center;
+    const move = Math.abs(gap) < 5 ? 0 : Math.sign(gap);
+    
+    // Bots get inverted controls too, so push the other way while they last
+    return { move: state.params.invertControls ? -move : move, serve: state.serve.side === side };
+}
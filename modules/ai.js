@@ -0,0 +1,256 @@
+// Computer opponent for Crazy Pong game
+import { getFieldOffset } from './utils.js';
+
+// Difficulty levels, from easy to insane
+export const AI_LEVELS = {
+    easy: {
+        reactionDelay: 0.3, // Seconds before the AI notices a change and between looks at the ball
+        predictionNoise: 100, // Worst aiming error in pixels (halves as the ball gets close)
+        speed: 0.55 // Fraction of paddleSpeed the AI moves at
+    },
+    medium: {
+        reactionDelay: 0.15,
+        predictionNoise: 45,
+        speed: 0.75
+    },
+    hard: {
+        reactionDelay: 0.07,
+        predictionNoise: 15,
+        speed: 0.9
+    },
+    insane: {
+        reactionDelay: 0,
+        predictionNoise: 0,
+        speed: 1
+    }
+};
+
+// Level used when none is picked
+export const DEFAULT_AI_LEVEL = 'medium';
+
+/**
+ * Predict where a ball will cross a vertical line, following it through wall bounces, gravity and spin
+ * @param {Ball} ball - Ball to follow
+ * @param {number} lineX - X position the ball's center has to reach
+ * @param {Object} field - Field boundaries
+ * @param {Object} params - Game parameters (for gravity)
+ * @param {number} maxTime - Seconds to look ahead
+ * @param {number} dt - Prediction step in seconds
+ * @returns {Object|null} Crossing as { y, time }, or null if the ball doesn't get there in time
+ */
+export function predictBallCrossing(ball, lineX, field, params, maxTime = 3, dt = 1 / 60) {
+    const radius = ball.size / 2;
+    const top = field.y + radius;
+    const bottom = field.y + field.height - radius;
+    const gravityX = params.ballGravityX || 0;
+    const gravityY = params.ballGravityY || 0;
+    
+    let { x, y, dx, dy, spin } = ball;
+    const side = Math.sign(lineX - x);
+    
+    for (let time = 0; time < maxTime; time += dt) {
+        // Same order as Ball.update: gravity, spin, then movement
+        dx += gravityX * dt;
+        dy += gravityY * dt;
+        
+        if (spin) {
+            const turn = ball.magnusStrength * spin * dt;
+            const turnedDx = dx * Math.cos(turn) - dy * Math.sin(turn);
+            dy = dx * Math.sin(turn) + dy * Math.cos(turn);
+            dx = turnedDx;
+            spin *= Math.pow(1 - ball.spinDecay, dt);
+        }
+        
+        const nextX = x + dx * dt;
+        let nextY = y + dy * dt;
+        
+        // Crossed the line during this step
+        if (Math.sign(lineX - nextX) !== side) {
+            const t = (lineX - x) / (nextX - x);
+            return { y: Math.max(top, Math.min(bottom, y + (nextY - y) * t)), time: time + t * dt };
+        }
+        
+        // Bounce off the top and bottom walls
+        if (nextY < top) {
+            nextY = 2 * top - nextY;
+            dy = Math.abs(dy);
+        } else if (nextY > bottom) {
+            nextY = 2 * bottom - nextY;
+            dy = -Math.abs(dy);
+        }
+        
+        x = nextX;
+        y = nextY;
+    }
+    
+    return null;
+}
+
+/**
+ * Pick the most threats one paddle can get to in time, in the order it should play them
+ * @param {Array} threats - Threats sorted by arrival ({ y, time })
+ * @param {number} startY - Paddle center now
+ * @param {number} speed - Paddle speed in pixels per second
+ * @param {number} reach - How far from its center the paddle can still return a ball
+ * @returns {Array} Threats to save, soonest first
+ */
+export function planSaves(threats, startY, speed, reach) {
+    const canReach = (fromY, toY, time) => Math.abs(toY - fromY) - reach <= speed * time;
+    
+    // Longest chain of saves ending with each threat (count 0 means it can't be saved)
+    const chains = threats.map(() => ({ count: 0, previous: -1 }));
+    threats.forEach((threat, i) => {
+        if (canReach(startY, threat.y, threat.time)) {
+            chains[i].count = 1;
+        }
+        for (let j = 0; j < i; j++) {
+            const fromPrevious = chains[j].count > 0 && canReach(threats[j].y, threat.y, threat.time - threats[j].time);
+            if (fromPrevious && chains[j].count + 1 > chains[i].count) {
+                chains[i] = { count: chains[j].count + 1, previous: j };
+            }
+        }
+    });
+    
+    // Follow the longest chain back to its first save
+    let last = -1;
+    chains.forEach((chain, i) => {
+        if (chain.count > (last < 0 ? 0 : chains[last].count)) last = i;
+    });
+    
+    const saves = [];
+    for (let i = last; i >= 0; i = chains[i].previous) {
+        saves.unshift(threats[i]);
+    }
+    return saves;
+}
+
+/**
+ * PaddleAI class - steers one paddle toward where the balls are going to be
+ */
+export class PaddleAI {
+    /**
+     * Create a paddle AI
+     * @param {Object|string} config - Level name, or settings ({ level, reactionDelay, predictionNoise, speed })
+     * @param {Random} rng - Seeded random number generator (for aiming errors)
+     */
+    constructor(config = {}, rng = null) {
+        this.rng = rng;
+        this.config = { level: DEFAULT_AI_LEVEL, ...AI_LEVELS[DEFAULT_AI_LEVEL] };
+        this.configure(config);
+        this.reset();
+    }
+    
+    /**
+     * Change the AI settings; picking a level loads its settings, other keys fine-tune them
+     * @param {Object|string} config - Level name, or settings overrides
+     */
+    configure(config) {
+        if (typeof config === 'string') {
+            config = { level: config };
+        }
+        const level = AI_LEVELS[config.level] || {};
+        this.config = { ...this.config, ...level, ...config };
+    }
+    
+    /**
+     * Forget the current plan for a new match
+     */
+    reset() {
+        this.targetY = null; // Where the paddle is heading
+        this.planTimer = 0; // Seconds until the AI looks at the balls again
+        this.incoming = []; // Balls coming toward this paddle at the last look
+        this.aimErrors = new Map(); // Aiming error for each incoming ball's approach (-1 to 1)
+        this.threats = []; // Incoming balls ranked by arrival ({ ball, x, y, time }), soonest first
+        this.saves = []; // Threats the current plan gets to, in order
+        this.target = null; // Threat the paddle is heading for, or null while nothing is coming
+    }
+    
+    /**
+     * Decide where the paddle should go this step
+     * @param {Paddle} paddle - Paddle being steered
+     * @param {Array} balls - Balls in play
+     * @param {Object} bounds - World bounds ({width, height})
+     * @param {Object} params - Current game parameters
+     * @param {Object} settledParams - This paddle's game parameters once chaos transitions finish (see ChaosController.getSettledParams)
+     * @param {number} dt - Step duration in seconds
+     * @returns {number} Target Y position for the paddle's center
+     */
+    update(paddle, balls, bounds, params, settledParams, dt) {
+        const incoming = balls.filter(ball => !ball.heldBy && (paddle.isLeft ? ball.dx < 0 : ball.dx > 0));
+        
+        // A ball turned toward or away from the paddle: react after the reaction delay,
+        // with a fresh aiming error for each new approach
+        if (incoming.length !== this.incoming.length || incoming.some(ball => !this.incoming.includes(ball))) {
+            const aimErrors = new Map();
+            incoming.forEach(ball => {
+                const known = this.aimErrors.has(ball);
+                aimErrors.set(ball, known ? this.aimErrors.get(ball) : (this.rng ? this.rng.range(-1, 1) : 0));
+            });
+            
+            this.aimErrors = aimErrors;
+            this.incoming = incoming;
+            this.planTimer = this.targetY === null ? 0 : this.config.reactionDelay;
+        }
+        
+        this.planTimer -= dt;
+        if (this.planTimer <= 0) {
+            this.targetY = this.plan(paddle, bounds, params, settledParams);
+            this.planTimer += this.config.reactionDelay;
+            if (this.planTimer < 0) this.planTimer = 0;
+        }
+        
+        return this.targetY;
+    }
+    
+    /**
+     * Work out a new target from what the balls are doing now
+     * @param {Paddle} paddle - Paddle being steered
+     * @param {Object} bounds - World bounds ({width, height})
+     * @param {Object} params - Current game parameters
+     * @param {Object} settledParams - Game parameters once chaos transitions finish
+     * @returns {number} Target Y position for the paddle's center
+     */
+    plan(paddle, bounds, params, settledParams) {
+        // Plan against the field chaos is heading for, since it will have got there by the time the balls arrive
+        const field = getFieldOffset(bounds, settledParams);
+        this.threats = this.assessThreats(paddle, field, params, settledParams);
+        
+        // Save as many balls as possible; if none can be reached, still go for the soonest
+        const speed = params.paddleSpeed * this.config.speed;
+        this.saves = planSaves(this.threats, paddle.y + paddle.height / 2, speed, paddle.height * 0.4);
+        this.target = this.saves[0] || this.threats[0] || null;
+        
+        // Wait in the middle while nothing is coming
+        return this.target ? this.target.y : field.y + field.height / 2;
+    }
+    
+    /**
+     * Predict where and when each incoming ball reaches this paddle
+     * @param {Paddle} paddle - Paddle being steered
+     * @param {Object} field - Field boundaries to plan against
+     * @param {Object} params - Current game parameters
+     * @param {Object} settledParams - Game parameters once chaos transitions finish
+     * @returns {Array} Threats ({ ball, x, y, time }), soonest first
+     */
+    assessThreats(paddle, field, params, settledParams) {
+        const threats = [];
+        
+        for (const ball of this.incoming) {
+            // The line the ball's center reaches when it touches the paddle face
+            const radius = ball.size / 2;
+            const x = paddle.isLeft
+                ? field.x + 10 + settledParams.paddleWidth + radius
+                : field.x + field.width - 10 - settledParams.paddleWidth - radius;
+            
+            const crossing = predictBallCrossing(ball, x, field, params);
+            if (!crossing) continue;
+            
+            // Aim gets better as the ball gets closer
+            const error = this.aimErrors.get(ball) * this.config.predictionNoise * (0.5 + 0.5 * Math.min(1, crossing.time));
+            const y = Math.max(field.y, Math.min(field.y + field.height, crossing.y + error));
+            threats.push({ ball, x, y, time: crossing.time });
+        }
+        
+        return threats.sort((a, b) => a.time - b.time);
+    }
+}
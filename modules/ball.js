@@ -1,5 +1,24 @@
 // Ball class for Crazy Pong game
 import { getFieldOffset } from './utils.js';
+import { SpeedModel } from './speed.js';
+
+/**
+ * Find when a point moving along one axis is inside an interval
+ * @param {number} start - Start position
+ * @param {number} move - Movement during the sweep
+ * @param {number} min - Interval start
+ * @param {number} max - Interval end
+ * @returns {Object|null} Entry and exit as { enter, exit } (fractions of the move), or null if never inside
+ */
+function sweepAxis(start, move, min, max) {
+    if (move === 0) {
+        return start >= min && start <= max ? { enter: -Infinity, exit: Infinity } : null;
+    }
+    
+    const t1 = (min - start) / move;
+    const t2 = (max - start) / move;
+    return { enter: Math.min(t1, t2), exit: Math.max(t1, t2) };
+}
 
 /**
  * Ball class - handles ball physics, movement and rendering
@@ -7,16 +26,16 @@ import { getFieldOffset } from './utils.js';
 export class Ball {
     /**
      * Create a new ball
-     * @param {HTMLCanvasElement} canvas - Game canvas
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} bounds - World bounds ({width, height})
      * @param {Object} gameParams - Game parameters
-     * @param {Function} updateScore - Score update function
+     * @param {Function} updateScore - Score update function, called with the scoring side and this ball
      * @param {Object} options - Optional parameters
-     * @param {Object} soundManager - Sound manager instance
+     * @param {Function} emitEvent - Callback for gameplay events such as hits (optional)
+     * @param {Random} rng - Seeded random number generator
      */
-    constructor(canvas, ctx, gameParams, updateScore, options = {}, soundManager = null) {
-        this.canvas = canvas;
-        this.ctx = ctx;
+    constructor(bounds, gameParams, updateScore, options = {}, emitEvent = null, rng = null) {
+        this.bounds = bounds;
+        this.rng = rng;
         this.gameParams = {...gameParams}; // Create a local copy of game parameters
         this.updateScore = updateScore;
         this.size = this.gameParams.ballSize || 10; // Ensure default size
@@ -25,21 +44,42 @@ export class Ball {
         this.lastScoreTime = 0;
         this.resetDelay = 500; // 0.5 second delay before resetting
         this.shouldRespawn = true; // By default, balls respawn when scored
-        this.soundManager = soundManager;
+        this.heldBy = null; // Paddle holding the ball before a serve
+        this.emitEvent = emitEvent;
         
-        // Trail effect
+        // Trail effect (one point per simulation tick)
         this.trail = [];
-        this.maxTrailLength = 10;
+        this.maxTrailLength = 20;
+        
+        // Brightness of the flash from the last bounce (1 right after it, fading to 0), which shows an invisible ball
+        this.flash = 0;
+        this.flashTime = 0.4; // Seconds a flash takes to fade
+        
+        // Spin in radians per second (positive is clockwise on screen), picked up from moving paddles
+        this.spin = 0;
+        this.rotation = 0; // Current spin angle, for drawing
+        this.spinTransfer = 0.02; // Spin per pixel per second of paddle speed at impact
+        this.maxSpin = 20;
+        this.magnusStrength = 0.06; // How strongly spin curves the path
+        this.spinDecay = 0.6; // Fraction of spin lost per second (exponential)
+        
+        // Speed ramp (the simulation shares its own model with every ball)
+        this.speedModel = new SpeedModel();
+        this.rallyHits = 0; // Paddle hits since the ball was last served
         
-        // Initialize with custom options or default values
+        // Initialize with custom options or default values (velocity in pixels per second)
         if (options.dx !== undefined && options.dy !== undefined) {
-            this.x = options.x || this.canvas.width / 2;
-            this.y = options.y || this.canvas.height / 2;
+            this.x = options.x || this.bounds.width / 2;
+            this.y = options.y || this.bounds.height / 2;
             this.dx = options.dx;
             this.dy = options.dy;
         } else {
             this.reset();
         }
+        
+        // Position at the previous simulation tick, used for interpolated rendering
+        this.prevX = this.x;
+        this.prevY = this.y;
     }
     
     /**
@@ -47,27 +87,113 @@ export class Ball {
      */
     reset() {
         // Get current field boundaries
-        const field = getFieldOffset(this.canvas, this.gameParams);
+        const field = getFieldOffset(this.bounds, this.gameParams);
         
         // Position ball in the center of the field
         this.x = field.x + field.width / 2;
         this.y = field.y + field.height / 2;
         
         // Random direction, but ensure significant horizontal movement
-        const angle = (Math.random() * Math.PI / 2.5) - Math.PI / 5; // More horizontal bias
-        const direction = Math.random() < 0.5 ? 1 : -1; // Left or right
+        const angle = this.rng.range(-Math.PI / 5, Math.PI / 5); // More horizontal bias
+        const direction = this.rng.sign(); // Left or right
         
-        // Set velocity based on angle and ensure minimum speed
-        const minSpeed = Math.max(2, this.gameParams.ballSpeed * 0.8);
-        const speed = minSpeed + Math.random() * (this.gameParams.ballSpeed - minSpeed);
+        // Set velocity based on angle and ensure minimum speed (pixels per second)
+        const minSpeed = Math.max(120, this.gameParams.ballSpeed * 0.8);
+        const speed = minSpeed + this.rng.next() * (this.gameParams.ballSpeed - minSpeed);
         
         this.dx = Math.cos(angle) * speed * direction;
         this.dy = Math.sin(angle) * speed;
         
         // Ensure we never have near-zero horizontal speed
-        if (Math.abs(this.dx) < 1) {
-            this.dx = direction * 1;
+        if (Math.abs(this.dx) < 60) {
+            this.dx = direction * 60;
         }
+        
+        // Serve without spin, at the start of the speed ramp
+        this.spin = 0;
+        this.rallyHits = 0;
+        
+        // Don't interpolate across the jump back to the center
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    /**
+     * Hold the ball on a paddle until it is served
+     * @param {Paddle} paddle - Serving paddle
+     */
+    hold(paddle) {
+        this.heldBy = paddle;
+        this.lastScoreTime = 0;
+        this.dx = 0;
+        this.dy = 0;
+        this.spin = 0;
+        this.rallyHits = 0;
+        this.trail = [];
+        this.followPaddle();
+        
+        // Don't interpolate across the jump to the paddle
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+    
+    /**
+     * Place a held ball just in front of the middle of its paddle
+     */
+    followPaddle() {
+        const paddle = this.heldBy;
+        const gap = this.size / 2 + 2;
+        
+        this.x = paddle.isLeft ? paddle.x + paddle.width + gap : paddle.x - gap;
+        this.y = paddle.y + paddle.height / 2;
+    }
+    
+    /**
+     * Serve a held ball
+     * @param {number} direction - 1 to serve to the right, -1 to the left
+     * @param {number} speed - Serve speed in pixels per second
+     * @param {number} angle - Angle from horizontal in radians
+     */
+    launch(direction, speed, angle) {
+        this.heldBy = null;
+        this.dx = Math.cos(angle) * speed * direction;
+        this.dy = Math.sin(angle) * speed;
+    }
+    
+    /**
+     * Scale the velocity to a new speed, keeping the direction
+     * @param {number} speed - Speed in pixels per second
+     */
+    setSpeed(speed) {
+        const current = Math.hypot(this.dx, this.dy);
+        if (current === 0) return;
+        
+        this.dx *= speed / current;
+        this.dy *= speed / current;
+    }
+    
+    /**
+     * Curve the ball's path with a Magnus-style force from its spin, then let the spin die down
+     * @param {number} dt - Step duration in seconds
+     */
+    applySpin(dt) {
+        if (this.spin === 0) return;
+        
+        // The force is always sideways to the motion, so turn the velocity instead of adding to it;
+        // this bends the path without changing the speed
+        const turn = this.magnusStrength * this.spin * dt;
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+        const dx = this.dx;
+        this.dx = dx * cos - this.dy * sin;
+        this.dy = dx * sin + this.dy * cos;
+        
+        // Turn the ball for drawing
+        this.rotation += this.spin * dt;
+        
+        // Spin fades over time
+        this.spin *= Math.pow(1 - this.spinDecay, dt);
+        if (Math.abs(this.spin) < 0.05) this.spin = 0;
     }
     
     /**
@@ -97,12 +223,108 @@ export class Ball {
     }
     
     /**
-     * Handle ball collision with paddle
+     * Find when the ball first touches the top or bottom wall during a move
+     * @param {Object} field - Field boundaries
+     * @param {number} ballSize - Half the current ball size
+     * @param {number} moveY - Vertical movement for this sweep
+     * @returns {Object|null} Contact as { time (0-1 of the move), wall ('top'/'bottom') }, or null
+     */
+    sweepWalls(field, ballSize, moveY) {
+        let wall = null;
+        let time = Infinity;
+        
+        if (moveY < 0) {
+            wall = 'top';
+            time = (field.y + ballSize - this.y) / moveY;
+        } else if (moveY > 0) {
+            wall = 'bottom';
+            time = (field.y + field.height - ballSize - this.y) / moveY;
+        }
+        
+        return time <= 1 ? { time: Math.max(0, time), wall } : null;
+    }
+    
+    /**
+     * Find when the ball first touches a paddle during a move, allowing for the paddle moving too
+     * @param {Paddle} paddle - Paddle to check
+     * @param {number} ballSize - Half the current ball size
+     * @param {number} moveX - Horizontal ball movement for this sweep
+     * @param {number} moveY - Vertical ball movement for this sweep
+     * @param {number} paddleY - Paddle top at the start of the sweep
+     * @param {number} paddleMoveY - Paddle movement during the sweep
+     * @returns {Object|null} Contact as { time (0-1 of the move), axis ('x' for the front/back face, 'y' for top/bottom) }, or null
+     */
+    sweepPaddle(paddle, ballSize, moveX, moveY, paddleY, paddleMoveY) {
+        // In the paddle's frame the paddle stands still and the ball carries the relative motion.
+        // Growing the paddle by the ball size lets the ball be treated as a point.
+        const x = sweepAxis(this.x, moveX, paddle.x - ballSize, paddle.x + paddle.width + ballSize);
+        const y = sweepAxis(this.y, moveY - paddleMoveY, paddleY - ballSize, paddleY + paddle.height + ballSize);
+        if (!x || !y) return null;
+        
+        const enter = Math.max(x.enter, y.enter);
+        const exit = Math.min(x.exit, y.exit);
+        
+        // Only contacts that start during this move count; a ball that is already inside is left to resolvePaddleOverlap
+        if (enter < 0 || enter > 1 || enter >= exit) return null;
+        
+        return { time: enter, axis: x.enter >= y.enter ? 'x' : 'y' };
+    }
+    
+    /**
+     * Bounce the ball off a paddle it is touching
+     * @param {Paddle} paddle - Paddle that was hit
+     * @param {string} axis - 'x' for the front/back face, 'y' for the top/bottom
+     * @param {number} paddleY - Paddle top at the moment of contact
+     * @param {number} paddleVelocity - Vertical paddle speed in pixels per second
+     */
+    bounceOffPaddle(paddle, axis, paddleY, paddleVelocity) {
+        // Horizontal collision (left/right side of paddle)
+        if (axis === 'x') {
+            // Flip horizontal direction
+            this.dx = -this.dx;
+            
+            // Add angle based on where ball hit the paddle
+            const hitPosition = (this.y - paddleY) / paddle.height;
+            this.dy = (hitPosition - 0.5) * 2 * Math.abs(this.dx);
+            
+            // Leave at the speed the ramp gives for this many hits
+            this.rallyHits++;
+            this.setSpeed(this.speedModel.getHitSpeed(this.gameParams.ballSpeed, this.rallyHits));
+            
+            // Enforce minimum horizontal speed (pixels per second)
+            const minSpeed = 120;
+            if (Math.abs(this.dx) < minSpeed) {
+                this.dx = this.dx > 0 ? minSpeed : -minSpeed;
+            }
+            
+            // The paddle face drags the side of the ball it touches, so a moving paddle sets the spin
+            // (the ball then curves away from the direction the paddle was moving)
+            const spin = (paddle.isLeft ? -1 : 1) * paddleVelocity * this.spinTransfer;
+            this.spin = Math.max(-this.maxSpin, Math.min(this.maxSpin, spin));
+        }
+        // Vertical collision (top/bottom of paddle) - less common
+        else {
+            // Leave at least as fast as the paddle is moving, so it can't catch the ball again
+            if (this.y < paddleY + paddle.height / 2) {
+                this.dy = Math.min(-Math.abs(this.dy), paddleVelocity);
+            } else {
+                this.dy = Math.max(Math.abs(this.dy), paddleVelocity);
+            }
+            
+            // Speed up along the ramp, but never slow down below the paddle's push
+            this.rallyHits++;
+            const speed = Math.hypot(this.dx, this.dy);
+            this.setSpeed(Math.max(speed, this.speedModel.getHitSpeed(this.gameParams.ballSpeed, this.rallyHits)));
+        }
+    }
+    
+    /**
+     * Push the ball out of a paddle it already overlaps at the start of the step (e.g. after chaos resized the paddle)
      * @param {Paddle} paddle - Paddle to check collision with
-     * @param {number} ballSize - Current ball size
+     * @param {number} ballSize - Half the current ball size
      * @returns {boolean} Whether a collision occurred
      */
-    handlePaddleCollision(paddle, ballSize) {
+    resolvePaddleOverlap(paddle, ballSize) {
         // Calculate ball boundaries
         const ballLeft = this.x - ballSize;
         const ballRight = this.x + ballSize;
@@ -112,84 +334,120 @@ export class Ball {
         // Calculate paddle boundaries
         const paddleLeft = paddle.x;
         const paddleRight = paddle.x + paddle.width;
-        const paddleTop = paddle.y;
-        const paddleBottom = paddle.y + paddle.height;
+        const paddleTop = paddle.prevY;
+        const paddleBottom = paddle.prevY + paddle.height;
+        
+        // Calculate intersection depth (negative when apart)
+        const overlapLeft = ballRight - paddleLeft;
+        const overlapRight = paddleRight - ballLeft;
+        const overlapTop = ballBottom - paddleTop;
+        const overlapBottom = paddleBottom - ballTop;
+        const minOverlap = Math.min(overlapLeft, overlapRight, overlapTop, overlapBottom);
+        
+        // A ball resting on a face after a swept bounce only touches the paddle
+        if (minOverlap < 0.01) {
+            return false;
+        }
         
-        // Check if ball overlaps with paddle
-        if (ballRight >= paddleLeft && ballLeft <= paddleRight &&
-            ballBottom >= paddleTop && ballTop <= paddleBottom) {
-            
-            // Calculate intersection depth
-            const overlapLeft = ballRight - paddleLeft;
-            const overlapRight = paddleRight - ballLeft;
-            const overlapTop = ballBottom - paddleTop;
-            const overlapBottom = paddleBottom - ballTop;
-            
-            // Find minimum overlap to determine collision side
-            const minOverlap = Math.min(overlapLeft, overlapRight, overlapTop, overlapBottom);
+        // Push out along the smallest overlap
+        if (minOverlap === overlapLeft || minOverlap === overlapRight) {
+            this.x = minOverlap === overlapLeft ? paddleLeft - ballSize : paddleRight + ballSize;
+            this.bounceOffPaddle(paddle, 'x', paddleTop, 0);
+        } else {
+            this.y = minOverlap === overlapTop ? paddleTop - ballSize : paddleBottom + ballSize;
+            this.bounceOffPaddle(paddle, 'y', paddleTop, 0);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Move the ball through one step with swept collisions, so fast balls can't tunnel through paddles
+     * @param {number} dt - Step duration in seconds
+     * @param {Object} field - Field boundaries
+     * @param {number} ballSize - Half the current ball size
+     * @param {Array} paddles - Paddles to collide with (already moved for this step)
+     * @param {Function} createMultiball - Callback to create multiball
+     */
+    move(dt, field, ballSize, paddles, createMultiball) {
+        let elapsed = 0; // Fraction of the step already simulated
+        
+        // Stop at each contact and carry on with the rest of the step (a few bounces at most)
+        for (let i = 0; i < 4 && elapsed < 1; i++) {
+            const remaining = 1 - elapsed;
+            const moveX = this.dx * dt * remaining;
+            const moveY = this.dy * dt * remaining;
             
-            // Horizontal collision (left/right side of paddle)
-            if (minOverlap === overlapLeft || minOverlap === overlapRight) {
-                // Flip horizontal direction
-                this.dx = -this.dx;
+            // Find the earliest wall or paddle contact
+            let hit = this.sweepWalls(field, ballSize, moveY);
+            for (const paddle of paddles) {
+                // Paddles moved from prevY to y over the whole step
+                const paddleMoveY = paddle.y - paddle.prevY;
+                const paddleY = paddle.prevY + paddleMoveY * elapsed;
+                const paddleHit = this.sweepPaddle(paddle, ballSize, moveX, moveY, paddleY, paddleMoveY * remaining);
                 
-                // Adjust position to prevent sticking
-                if (minOverlap === overlapLeft) {
-                    this.x = paddleLeft - ballSize;
-                } else {
-                    this.x = paddleRight + ballSize;
+                if (paddleHit && (!hit || paddleHit.time < hit.time)) {
+                    hit = { ...paddleHit, paddle, paddleY: paddleY + paddleMoveY * remaining * paddleHit.time, paddleVelocity: paddleMoveY / dt };
                 }
+            }
+            
+            // Nothing in the way
+            if (!hit) {
+                this.x += moveX;
+                this.y += moveY;
+                break;
+            }
+            
+            // Advance to the contact point
+            this.x += moveX * hit.time;
+            this.y += moveY * hit.time;
+            elapsed += remaining * hit.time;
+            
+            if (hit.paddle) {
+                this.bounceOffPaddle(hit.paddle, hit.axis, hit.paddleY, hit.paddleVelocity);
                 
-                // Add angle based on where ball hit the paddle
-                const hitPosition = (this.y - paddle.y) / paddle.height;
-                this.dy = (hitPosition - 0.5) * 2 * Math.abs(this.dx);
-                
-                // Enforce minimum horizontal speed
-                const minSpeed = 2;
-                if (Math.abs(this.dx) < minSpeed) {
-                    this.dx = this.dx > 0 ? minSpeed : -minSpeed;
-                }
-            } 
-            // Vertical collision (top/bottom of paddle) - less common
-            else {
-                // Flip vertical direction
-                this.dy = -this.dy;
+                // Let the renderer add shake and sound
+                this.emit('paddleHit');
                 
-                // Adjust position to prevent sticking
-                if (minOverlap === overlapTop) {
-                    this.y = paddleTop - ballSize;
-                } else {
-                    this.y = paddleBottom + ballSize;
+                // Random chance to create multiball if enabled
+                if (createMultiball && this.gameParams.multiball && this.rng.chance(0.05)) {
+                    createMultiball(this);
                 }
+            } else {
+                this.dy = hit.wall === 'top' ? Math.abs(this.dy) : -Math.abs(this.dy);
+                this.emit('wallHit');
             }
-            
-            // Increase ball speed slightly with each paddle hit
-            const speedIncrease = 0.1;
-            this.dx *= (1 + speedIncrease);
-            this.dy *= (1 + speedIncrease);
-            
-            return true;
         }
-        
-        return false;
     }
     
     /**
-     * Update ball position and handle collisions
-     * @param {number} timestamp - Current timestamp
+     * Advance the ball by one simulation step and handle collisions
+     * @param {number} timestamp - Current simulation time in milliseconds
+     * @param {number} dt - Step duration in seconds
      * @param {Paddle} paddleLeft - Left paddle
      * @param {Paddle} paddleRight - Right paddle
-     * @param {number} shakeAmount - Current screen shake amount
      * @param {Function} createMultiball - Callback to create multiball
-     * @returns {number} Updated shake amount
      */
-    update(timestamp, paddleLeft, paddleRight, shakeAmount = 0, createMultiball = null) {
+    update(timestamp, dt, paddleLeft, paddleRight, createMultiball = null) {
+        // Remember where the ball was for interpolated rendering
+        this.prevX = this.x;
+        this.prevY = this.y;
+        
+        // Fade the flash from the last bounce
+        this.flash = Math.max(0, this.flash - dt / this.flashTime);
+        
+        // A ball waiting to be served rides along with the server's paddle
+        if (this.heldBy) {
+            this.followPaddle();
+            return;
+        }
+        
         // Don't update if we're in the reset delay period
         if (this.lastScoreTime > 0) {
             const delayElapsed = timestamp - this.lastScoreTime;
             if (delayElapsed < this.resetDelay) {
                 // Still waiting for reset delay
-                return shakeAmount;
+                return;
             } else {
                 // Reset delay is over
                 this.lastScoreTime = 0;
@@ -197,14 +455,14 @@ export class Ball {
         }
         
         // Get field boundaries
-        const field = getFieldOffset(this.canvas, this.gameParams);
+        const field = getFieldOffset(this.bounds, this.gameParams);
         
         // Adjust ballSize based on current parameters
         const ballSize = this.size / 2;
         
         // Store current position for trail effect
         if (this.gameParams.trailEffect) {
-            this.trail.push({x: this.x, y: this.y, size: this.size});
+            this.trail.push({x: this.x, y: this.y, size: this.size, spin: this.spin, rotation: this.rotation});
             if (this.trail.length > this.maxTrailLength) {
                 this.trail.shift();
             }
@@ -213,53 +471,34 @@ export class Ball {
             this.trail = [];
         }
         
-        // Apply gravity
-        this.dx += this.gameParams.ballGravityX || 0;
-        this.dy += this.gameParams.ballGravityY || 0;
+        // Apply gravity (pixels per second squared)
+        this.dx += (this.gameParams.ballGravityX || 0) * dt;
+        this.dy += (this.gameParams.ballGravityY || 0) * dt;
+        
+        // Apply spin
+        this.applySpin(dt);
         
-        // Update position
-        this.x += this.dx;
-        this.y += this.dy;
+        // Ease back toward the baseline speed and keep under the speed cap (gravity adds speed too)
+        this.setSpeed(this.speedModel.update(Math.hypot(this.dx, this.dy), this.gameParams.ballSpeed, dt));
         
-        // Check for wall collisions
+        // Push the ball back inside if the field or a paddle changed size around it
         if (this.handleWallCollision(field, ballSize)) {
-            // Wall collision occurred, increase shake
-            shakeAmount += 1;
+            this.emit('wallHit');
         }
-        
-        // Check for paddle collisions
-        let paddleHit = false;
-        
-        // Check left paddle collision
-        if (this.dx < 0 && this.handlePaddleCollision(paddleLeft, ballSize)) {
-            paddleHit = true;
+        if (this.dx < 0 && this.resolvePaddleOverlap(paddleLeft, ballSize)) {
+            this.emit('paddleHit');
         }
-        
-        // Check right paddle collision
-        if (this.dx > 0 && this.handlePaddleCollision(paddleRight, ballSize)) {
-            paddleHit = true;
+        if (this.dx > 0 && this.resolvePaddleOverlap(paddleRight, ballSize)) {
+            this.emit('paddleHit');
         }
         
-        // Handle paddle hit effects
-        if (paddleHit) {
-            // Increase shake on paddle hit
-            shakeAmount += 3;
-            
-            // Play paddle hit sound if available
-            if (this.soundManager) {
-                this.soundManager.playSound('paddle');
-            }
-            
-            // Random chance to create multiball if enabled
-            if (createMultiball && this.gameParams.multiball && Math.random() < 0.05) {
-                createMultiball(this);
-            }
-        }
+        // Update position, bouncing off walls and paddles along the way
+        this.move(dt, field, ballSize, [paddleLeft, paddleRight], createMultiball);
         
         // Completely out of bounds on left side (right player scores)
         if (this.x + ballSize < field.x) {
             if (this.updateScore) {
-                this.updateScore('right');
+                this.updateScore('right', this);
             }
             
             if (this.shouldRespawn) {
@@ -274,7 +513,7 @@ export class Ball {
         // Completely out of bounds on right side (left player scores)
         if (this.x - ballSize > field.x + field.width) {
             if (this.updateScore) {
-                this.updateScore('left');
+                this.updateScore('left', this);
             }
             
             if (this.shouldRespawn) {
@@ -285,8 +524,64 @@ export class Ball {
                 this.needsRemoval = true;
             }
         }
+    }
+    
+    /**
+     * Bounce off another ball with an elastic collision; bigger balls are heavier
+     * @param {Ball} other - Ball to check against
+     * @returns {boolean} Whether the balls collided
+     */
+    collideWithBall(other) {
+        const distanceX = other.x - this.x;
+        const distanceY = other.y - this.y;
+        const distance = Math.hypot(distanceX, distanceY);
+        const minDistance = (this.size + other.size) / 2;
+        
+        if (distance >= minDistance || distance === 0) return false;
+        
+        // Collision normal, pointing from this ball to the other
+        const normalX = distanceX / distance;
+        const normalY = distanceY / distance;
+        
+        // Mass grows with the ball's area
+        const mass = this.size * this.size;
+        const otherMass = other.size * other.size;
+        const totalMass = mass + otherMass;
+        
+        // Separate the balls, moving the lighter one further
+        const overlap = minDistance - distance;
+        this.x -= normalX * overlap * otherMass / totalMass;
+        this.y -= normalY * overlap * otherMass / totalMass;
+        other.x += normalX * overlap * mass / totalMass;
+        other.y += normalY * overlap * mass / totalMass;
+        
+        // Only exchange momentum while the balls are moving towards each other
+        const approachSpeed = (this.dx - other.dx) * normalX + (this.dy - other.dy) * normalY;
+        if (approachSpeed > 0) {
+            const impulse = 2 * approachSpeed / totalMass;
+            this.dx -= impulse * otherMass * normalX;
+            this.dy -= impulse * otherMass * normalY;
+            other.dx += impulse * mass * normalX;
+            other.dy += impulse * mass * normalY;
+        }
+        
+        this.flash = 1;
+        other.flash = 1;
+        
+        return true;
+    }
+    
+    /**
+     * Report a gameplay event to the owner of this ball
+     * @param {string} type - Event type
+     */
+    emit(type) {
+        // Every reported hit is a bounce, so light the ball up
+        this.flash = 1;
         
-        return shakeAmount;
+        if (this.emitEvent) {
+            this.emitEvent(type, { ball: this });
+        }
     }
     
     /**
@@ -300,41 +595,96 @@ export class Ball {
         }
     }
     
+    /**
+     * Copy what's needed to draw this ball at the current tick (used by the instant replay)
+     * @param {Object} params - Game parameters at this tick
+     * @returns {Ball} Drawable copy that no longer changes
+     */
+    snapshot(params) {
+        return Object.assign(Object.create(Ball.prototype), {
+            x: this.x,
+            y: this.y,
+            prevX: this.prevX,
+            prevY: this.prevY,
+            size: this.size,
+            color: this.color,
+            spin: this.spin,
+            rotation: this.rotation,
+            maxSpin: this.maxSpin,
+            flash: this.flash,
+            trail: this.trail.slice(), // Trail points are never modified, only added and dropped
+            gameParams: params
+        });
+    }
+    
+    /**
+     * Scale a spin to a drawing opacity
+     * @param {number} spin - Spin in radians per second
+     * @returns {number} Opacity (0-1), full at half the maximum spin
+     */
+    getSpinStrength(spin) {
+        return Math.min(1, Math.abs(spin) / this.maxSpin * 2);
+    }
+    
     /**
      * Draw the ball on the canvas with neon effects
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} alpha - Interpolation factor between the previous and current tick (0-1)
      */
-    draw() {
+    draw(ctx, alpha = 1) {
+        // Interpolate between the last two simulation ticks for smooth motion
+        const x = this.prevX + (this.x - this.prevX) * alpha;
+        const y = this.prevY + (this.y - this.prevY) * alpha;
+        
+        // An invisible ball only shows while it flashes from a bounce, and leaves no trail
+        const invisible = this.gameParams.invisibleBall;
+        if (invisible) {
+            if (this.flash <= 0) return;
+            ctx.save();
+            ctx.globalAlpha = this.flash;
+        }
+        
         // Draw trail effect
-        if (this.gameParams.trailEffect && this.trail.length > 0) {
+        if (this.gameParams.trailEffect && !invisible && this.trail.length > 0) {
             for (let i = 0; i < this.trail.length; i++) {
                 const trailPoint = this.trail[i];
                 const alpha = i / this.trail.length; // Fade based on position in trail
                 const trailColor = this.color.replace('rgb', 'rgba').replace(')', `, ${alpha})`);
+                const radius = (trailPoint.size/2) * (0.3 + 0.7 * (i / this.trail.length)); // Smaller for older trail points
                 
-                this.ctx.beginPath();
-                this.ctx.arc(
+                ctx.beginPath();
+                ctx.arc(
                     trailPoint.x,
                     trailPoint.y,
-                    (trailPoint.size/2) * (0.3 + 0.7 * (i / this.trail.length)), // Smaller for older trail points
+                    radius,
                     0,
                     Math.PI * 2
                 );
-                this.ctx.fillStyle = trailColor;
-                this.ctx.fill();
+                ctx.fillStyle = trailColor;
+                ctx.fill();
+                
+                // Spinning balls leave a swirl in their trail
+                if (Math.abs(trailPoint.spin) > 1) {
+                    ctx.beginPath();
+                    ctx.arc(trailPoint.x, trailPoint.y, radius + 2, trailPoint.rotation, trailPoint.rotation + Math.PI / 2);
+                    ctx.strokeStyle = `rgba(255, 255, 255, ${alpha * this.getSpinStrength(trailPoint.spin)})`;
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                }
             }
         }
         
         // Apply glow effect for main ball
         if (this.gameParams.useNeonEffects) {
-            this.ctx.save();
-            this.ctx.shadowColor = this.color;
-            this.ctx.shadowBlur = 15;
+            ctx.save();
+            ctx.shadowColor = this.color;
+            ctx.shadowBlur = 15;
         }
         
         // Draw the main ball with gradient fill
-        const gradient = this.ctx.createRadialGradient(
-            this.x, this.y, 0,
-            this.x, this.y, this.size
+        const gradient = ctx.createRadialGradient(
+            x, y, 0,
+            x, y, this.size
         );
         
         // Create a brighter center for the glow effect
@@ -342,20 +692,37 @@ export class Ball {
         gradient.addColorStop(0.3, this.color);
         gradient.addColorStop(1, this.color);
         
-        this.ctx.beginPath();
-        this.ctx.arc(this.x, this.y, this.size/2, 0, Math.PI * 2);
-        this.ctx.fillStyle = gradient;
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.arc(x, y, this.size/2, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
         
         // Optional: add subtle ring around the ball
-        this.ctx.beginPath();
-        this.ctx.arc(this.x, this.y, this.size/2 + 1, 0, Math.PI * 2);
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-        this.ctx.lineWidth = 1;
-        this.ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(x, y, this.size/2 + 1, 0, Math.PI * 2);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        
+        // Show spin as a seam turning with the ball
+        if (Math.abs(this.spin) > 1) {
+            const seamX = Math.cos(this.rotation) * this.size / 2;
+            const seamY = Math.sin(this.rotation) * this.size / 2;
+            
+            ctx.beginPath();
+            ctx.moveTo(x - seamX, y - seamY);
+            ctx.lineTo(x + seamX, y + seamY);
+            ctx.strokeStyle = `rgba(255, 255, 255, ${this.getSpinStrength(this.spin)})`;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
         
         if (this.gameParams.useNeonEffects) {
-            this.ctx.restore();
+            ctx.restore();
+        }
+        
+        if (invisible) {
+            ctx.restore();
         }
     }
 }
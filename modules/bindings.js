@@ -0,0 +1,222 @@
+// Key bindings for Crazy Pong game
+// Keys are stored as KeyboardEvent.code values, which name the physical key,
+// so the default W/S layout sits in the same place on AZERTY and Dvorak keyboards.
+import { loadSaved, saveValue } from './storage.js';
+
+// Default keys per side and action
+export const DEFAULT_BINDINGS = {
+    left: { up: 'KeyW', down: 'KeyS', serve: 'KeyD', pause: 'KeyP' },
+    right: { up: 'ArrowUp', down: 'ArrowDown', serve: 'ArrowLeft', pause: 'KeyP' }
+};
+
+// Actions that can be rebound, in settings screen order
+export const BINDING_ACTIONS = ['up', 'down', 'serve', 'pause'];
+
+// Keys the menus rely on, which can't be rebound (Escape always pauses, Space serves for either side)
+export const RESERVED_CODES = ['Escape', 'Enter', 'Space', 'Tab', 'F3'];
+
+// localStorage key for saved bindings
+const STORAGE_KEY = 'crazyPong.bindings';
+
+// Short labels for keys whose code doesn't read well
+const CODE_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'L Shift',
+    ShiftRight: 'R Shift',
+    ControlLeft: 'L Ctrl',
+    ControlRight: 'R Ctrl',
+    AltLeft: 'L Alt',
+    AltRight: 'R Alt'
+};
+
+/**
+ * Describe a key for display
+ * @param {string} code - KeyboardEvent.code of the key
+ * @param {Map} layoutMap - Keyboard layout from navigator.keyboard.getLayoutMap(), to show the key's printed label (optional)
+ * @returns {string} Key label, e.g. 'W' for KeyW
+ */
+export function describeCode(code, layoutMap = null) {
+    if (!code) return '—';
+    if (CODE_LABELS[code]) return CODE_LABELS[code];
+    
+    const printed = layoutMap && layoutMap.get(code);
+    if (printed) return printed.toUpperCase();
+    
+    return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+}
+
+/**
+ * Check whether two bound actions may share a key
+ * @param {string} action - First action
+ * @param {string} other - Second action
+ * @returns {boolean} Whether one key may trigger both (only pause does the same thing for either side)
+ */
+function canShareKey(action, other) {
+    return action === 'pause' && other === 'pause';
+}
+
+/**
+ * Key bindings for both paddles, saved between visits
+ */
+export class KeyBindings {
+    /**
+     * Create the bindings and load any saved ones
+     * @param {Storage} storage - Where to save bindings, e.g. window.localStorage (optional)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.reset();
+        this.load();
+    }
+    
+    /**
+     * Get the key bound to an action
+     * @param {string} side - Paddle side (left/right)
+     * @param {string} action - Action (up, down, serve, pause)
+     * @returns {string} KeyboardEvent.code of the key
+     */
+    get(side, action) {
+        return this.bindings[side][action];
+    }
+    
+    /**
+     * Find the actions a key is bound to
+     * @param {string} code - KeyboardEvent.code of the key
+     * @returns {Object[]} Bound actions as { side, action }
+     */
+    find(code) {
+        const found = [];
+        for (const side of ['left', 'right']) {
+            for (const action of BINDING_ACTIONS) {
+                if (this.bindings[side][action] === code) {
+                    found.push({ side, action });
+                }
+            }
+        }
+        return found;
+    }
+    
+    /**
+     * Find the movement action a key is bound to
+     * @param {string} code - KeyboardEvent.code of the key
+     * @returns {Object|null} Bound movement as { side, action }, or null
+     */
+    findMovement(code) {
+        return this.find(code).find(binding => binding.action === 'up' || binding.action === 'down') || null;
+    }
+    
+    /**
+     * Find the actions that already use a key and would clash with binding it to another action
+     * @param {string} side - Paddle side being bound (left/right)
+     * @param {string} action - Action being bound
+     * @param {string} code - KeyboardEvent.code of the key
+     * @returns {Object[]} Clashing actions as { side, action }
+     */
+    findConflicts(side, action, code) {
+        return this.find(code).filter(binding =>
+            !(binding.side === side && binding.action === action) && !canShareKey(action, binding.action)
+        );
+    }
+    
+    /**
+     * Find the actions whose key clashes with another action's
+     * @returns {Object[]} Clashing actions as { side, action }
+     */
+    findClashes() {
+        const clashes = [];
+        for (const side of ['left', 'right']) {
+            for (const action of BINDING_ACTIONS) {
+                if (this.findConflicts(side, action, this.get(side, action)).length > 0) {
+                    clashes.push({ side, action });
+                }
+            }
+        }
+        return clashes;
+    }
+    
+    /**
+     * Bind a key to an action; actions that clash with it take the action's old key instead
+     * @param {string} side - Paddle side (left/right)
+     * @param {string} action - Action (up, down, serve, pause)
+     * @param {string} code - KeyboardEvent.code of the new key
+     * @returns {Object[]} Actions that were moved to the old key, as { side, action }
+     * @throws {Error} If the key is reserved for the menus, or the moved actions would clash on the old key
+     */
+    bind(side, action, code) {
+        if (RESERVED_CODES.includes(code)) {
+            throw new Error(`${describeCode(code)} is reserved`);
+        }
+        
+        // Try the swap on a copy, so a clash on the old key leaves the bindings as they were
+        const previous = this.bindings[side][action];
+        const conflicts = this.findConflicts(side, action, code);
+        const swapped = new KeyBindings();
+        swapped.bindings = { left: { ...this.bindings.left }, right: { ...this.bindings.right } };
+        conflicts.forEach(conflict => {
+            swapped.bindings[conflict.side][conflict.action] = previous;
+        });
+        swapped.bindings[side][action] = code;
+        
+        if (swapped.findClashes().length > 0) {
+            const names = conflicts.map(conflict => `${conflict.side} ${conflict.action}`).join(' and ');
+            throw new Error(`${describeCode(code)} is taken by ${names}, which can't move to ${describeCode(previous)}`);
+        }
+        
+        this.bindings = swapped.bindings;
+        this.save();
+        return conflicts;
+    }
+    
+    /**
+     * Go back to the default keys
+     */
+    reset() {
+        this.bindings = {
+            left: { ...DEFAULT_BINDINGS.left },
+            right: { ...DEFAULT_BINDINGS.right }
+        };
+    }
+    
+    /**
+     * Go back to the default keys and forget the saved ones
+     */
+    restoreDefaults() {
+        this.reset();
+        this.save();
+    }
+    
+    /**
+     * Load saved bindings, keeping the defaults if there are none or they are unusable
+     */
+    load() {
+        const saved = loadSaved(this.storage, STORAGE_KEY, 'key bindings');
+        if (!saved) return;
+        
+        const loaded = new KeyBindings();
+        for (const side of ['left', 'right']) {
+            for (const action of BINDING_ACTIONS) {
+                const code = saved[side] && saved[side][action];
+                if (typeof code === 'string' && !RESERVED_CODES.includes(code)) {
+                    loaded.bindings[side][action] = code;
+                }
+            }
+        }
+        
+        // A clash means the saved bindings were edited by hand; don't guess which key was meant
+        if (loaded.findClashes().length > 0) {
+            console.warn('Saved key bindings clash, using the defaults');
+            return;
+        }
+        this.bindings = loaded.bindings;
+    }
+    
+    /**
+     * Save the bindings, if there is somewhere to save them
+     */
+    save() {
+        saveValue(this.storage, STORAGE_KEY, this.bindings, 'key bindings');
+    }
+}
@@ -1,86 +1,227 @@
 // Chaos Controller for Crazy Pong game
-import { transitionColor } from './utils.js';
+import { frameBlend, hexToRgb, rgbToHex } from './utils.js';
+import { DEFAULT_PROFILE, COLOR_GENERATORS, PARAM_BOUNDS, validateChaosProfile, checkParamRange } from './profiles.js';
+
+// Chaos levels: how far parameters stray from their defaults (range), how often they change (frequency),
+// and how likely control effects and events are to happen when their turn comes (events), relative to the profile's settings
+export const CHAOS_LEVELS = {
+    off: { range: 0, frequency: 0, events: 0 }, // Classic Pong: nothing changes
+    mild: { range: 0.5, frequency: 0.6, events: 0.5 },
+    wild: { range: 1, frequency: 1, events: 1 },
+    insane: { range: 1.4, frequency: 2, events: 2 }
+};
+
+// Share of the level's range and event chances that escalation starts from
+const ESCALATION_START = 0.25;
+
+// Default chaos settings
+export const DEFAULT_CHAOS = {
+    level: 'wild', // Chaos level (see CHAOS_LEVELS)
+    escalation: 'off', // Ramp intensity up as the 'match' or the current 'rally' goes on, or 'off'
+    matchEscalationTime: 180, // Seconds after chaos starts that 'match' escalation reaches the level's full intensity
+    rallyEscalationTime: 30, // Seconds after a serve that 'rally' escalation reaches it
+    profile: null, // What chaos changes and how (see profiles.js); null for DEFAULT_PROFILE
+    startDelay: 10, // Seconds of normal play before chaos starts
+    ranges: {} // Range overrides per parameter as [min, max], e.g. { ballSpeed: [200, 320] }
+};
 
 /**
  * Manages the chaotic changes to game parameters
+ * All timers run on the simulation clock, so they freeze while the game is paused
  */
 export class ChaosController {
     /**
      * Create a new chaos controller
      * @param {Object} defaultParams - Default game parameters
+     * @param {Random} rng - Seeded random number generator
+     * @param {Object} config - Overrides for DEFAULT_CHAOS
+     * @param {Function} emitEvent - Callback for event announcements (optional)
      */
-    constructor(defaultParams) {
+    constructor(defaultParams, rng, config = {}, emitEvent = null) {
         this.defaultParams = defaultParams;
+        this.rng = rng;
         this.targetParams = { ...defaultParams };
 
-        // Independent chaos parameters for randomization
-        this.chaosParams = [
-            { name: "ballSpeed", min: 2, max: 7, current: defaultParams.ballSpeed, target: defaultParams.ballSpeed, nextChange: 0, transitionDuration: 0 },
-            { name: "ballSize", min: 5, max: 15, current: defaultParams.ballSize, target: defaultParams.ballSize, nextChange: 0, transitionDuration: 0 },
-            { name: "paddleSize", min: 60, max: 130, current: defaultParams.paddleSize, target: defaultParams.paddleSize, nextChange: 0, transitionDuration: 0 },
-            { name: "paddleWidth", min: 10, max: 25, current: defaultParams.paddleWidth, target: defaultParams.paddleWidth, nextChange: 0, transitionDuration: 0 },
-            { name: "paddleSpeed", min: 5, max: 12, current: defaultParams.paddleSpeed, target: defaultParams.paddleSpeed, nextChange: 0, transitionDuration: 0 },
-            { name: "ballGravityX", min: -0.02, max: 0.02, current: 0, target: 0, nextChange: 0, transitionDuration: 0 },
-            { name: "ballGravityY", min: -0.1, max: 0.1, current: 0, target: 0, nextChange: 0, transitionDuration: 0 },
-            { name: "fieldWidth", min: 0.7, max: 0.95, current: defaultParams.fieldWidth, target: defaultParams.fieldWidth, nextChange: 0, transitionDuration: 0 },
-            { name: "fieldHeight", min: 0.7, max: 0.95, current: defaultParams.fieldHeight, target: defaultParams.fieldHeight, nextChange: 0, transitionDuration: 0 },
-            { name: "multiball", min: 0, max: 1, current: defaultParams.multiball ? 1 : 0, target: defaultParams.multiball ? 1 : 0, nextChange: 0, transitionDuration: 0, isBoolean: true }
-        ];
-
-        // Color chaos parameters
-        this.colorParams = [
-            { 
-                name: "ballColor", 
-                current: defaultParams.ballColor || "#ffffff", 
-                nextChange: 0,
-                getRandomColor: () => {
-                    return `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}`;
-                }
+        // Set initial parameter values
+        this.gameParams = { ...defaultParams };
+        
+        // Control when chaos starts (the delay comes from config.startDelay, see configure)
+        this.startTime = 0;
+        
+        // Discrete events, one at a time: start switches the event on in the game parameters (with the
+        // random number generator for any choices it makes, and the event's settings from the profile), end switches it off
+        // Durations are in milliseconds; the banner is announced to the players when the event starts,
+        // and the profile's event weights decide how often each one comes up
+        this.chaosEvents = [
+            {
+                name: "blackout", banner: "BLACKOUT!", minDuration: 4000, maxDuration: 7000,
+                start: params => { params.blackout = true; },
+                end: params => { params.blackout = false; }
             },
-            { 
-                name: "paddleColor", 
-                current: defaultParams.paddleColor || "#ffffff", 
-                nextChange: 0,
-                getRandomColor: () => {
-                    return `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}`;
-                }
+            {
+                name: "mirror", banner: "MIRROR WORLD!", minDuration: 5000, maxDuration: 8000,
+                start: params => { params.mirrorField = true; },
+                end: params => { params.mirrorField = false; }
             },
-            { 
-                name: "backgroundColor", 
-                current: defaultParams.backgroundColor, 
-                nextChange: 0,
-                getRandomColor: () => {
-                    // Dark colors for background
-                    return `#${Math.floor(Math.random()*4210752).toString(16).padStart(6, '0')}`;
-                }
+            {
+                name: "swap", banner: "PADDLE SWAP!", minDuration: 5000, maxDuration: 8000,
+                start: params => { params.swapPaddles = true; },
+                end: params => { params.swapPaddles = false; }
             },
-            { 
-                name: "fieldBorderColor", 
-                current: defaultParams.fieldBorderColor, 
-                nextChange: 0,
-                getRandomColor: () => {
-                    return `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}`;
+            {
+                name: "invisibleBall", banner: "INVISIBLE BALL!", minDuration: 5000, maxDuration: 8000,
+                start: params => { params.invisibleBall = true; },
+                end: params => { params.invisibleBall = false; }
+            },
+            {
+                name: "freeze", banner: "FREEZE!", minDuration: 1000, maxDuration: 1000,
+                start: params => { params.freezePaddles = true; },
+                end: params => { params.freezePaddles = false; }
+            },
+            {
+                // One player gets a giant paddle, the other a tiny one (sizes from the profile)
+                name: "mismatch", banner: "GIANT VS TINY!", minDuration: 5000, maxDuration: 8000,
+                start: (params, rng, settings) => {
+                    const giant = rng.sign() > 0 ? 'left' : 'right';
+                    params.leftMismatchScale = giant === 'left' ? settings.giant : settings.tiny;
+                    params.rightMismatchScale = giant === 'right' ? settings.giant : settings.tiny;
+                },
+                end: params => {
+                    params.leftMismatchScale = 1;
+                    params.rightMismatchScale = 1;
                 }
             }
         ];
+        this.activeEvent = null; // Running event as { event, endTime }
+        this.nextEventTime = 0;
         
-        // Set initial parameter values
-        this.gameParams = { ...defaultParams };
+        // Current strength of chaos (see getIntensity), and when the current rally started for escalation
+        this.intensity = { ...CHAOS_LEVELS.wild };
+        this.rallyStartTime = 0;
+        this.emitEvent = emitEvent;
         
-        // Control when chaos starts
-        this.startTime = 0;
-        this.chaosStartDelay = 10000; // 10 seconds delay before chaos starts
-        this.invertControls = false;
-        this.invertControlsNextChange = 0;
+        // Parameters, colors and control effects chaos changes, set up from the profile (see applyProfile)
+        this.profile = null;
+        this.chaosParams = [];
+        this.colorParams = [];
+        this.controlEffects = [];
+        
+        this.config = { ...DEFAULT_CHAOS };
+        this.configure(config);
+    }
+    
+    /**
+     * Change the chaos settings; new ranges are used from the next parameter change
+     * @param {Object} config - Overrides for the current config ({ level, escalation, startDelay, ranges, ... }); ranges replace the old ones
+     */
+    configure(config) {
+        const merged = { ...this.config, ...config };
+        
+        // Check a new profile and the range overrides first, so a bad one changes nothing
+        const profile = merged.profile || DEFAULT_PROFILE;
+        const checked = profile !== this.profile ? validateChaosProfile(profile) : null;
+        const used = checked ? Object.keys(checked.params) : this.chaosParams.map(param => param.name);
+        this.checkRanges(merged.ranges, used, profile.name);
+        
+        // Set up again for a new profile
+        if (checked) {
+            this.applyProfile(checked);
+            this.profile = profile;
+        }
+        
+        this.config = merged;
+        this.config.ranges = { ...this.config.ranges };
+        this.chaosStartDelay = this.config.startDelay * 1000;
+        
+        this.chaosParams.forEach(param => {
+            [param.min, param.max] = this.config.ranges[param.name] || param.range;
+        });
+    }
+    
+    /**
+     * Check range overrides the way profile parameters are checked
+     * @param {Object} ranges - Overrides as { name: [min, max] }
+     * @param {string[]} used - Parameters the profile changes
+     * @param {string} profileName - Name of the profile, for the error message
+     * @throws {Error} If an override names a parameter the profile doesn't change, or its range is not valid
+     */
+    checkRanges(ranges, used, profileName) {
+        if (typeof ranges !== 'object' || ranges === null || Array.isArray(ranges)) {
+            throw new Error('Chaos ranges must be an object');
+        }
+        
+        Object.entries(ranges).forEach(([name, range]) => {
+            if (!Object.keys(PARAM_BOUNDS).includes(name)) {
+                throw new Error(`Unknown chaos range "${name}" (expected one of ${Object.keys(PARAM_BOUNDS).join(', ')})`);
+            }
+            if (!used.includes(name)) {
+                throw new Error(`Chaos range "${name}" is not changed by the ${profileName} profile (it changes ${used.join(', ') || 'none'})`);
+            }
+            if (!Array.isArray(range) || range.length !== 2) {
+                throw new Error(`ranges.${name} must be [min, max]`);
+            }
+            checkParamRange(name, range[0], range[1], `ranges.${name}`);
+        });
+    }
+    
+    /**
+     * Set up the parameters, colors, control effects and event weights a profile describes
+     * @param {Object} profile - Complete chaos profile (see validateChaosProfile), with times in seconds
+     */
+    applyProfile(profile) {
+        const toMilliseconds = ([min, max]) => [min * 1000, max * 1000];
+        
+        // Independent chaos parameters for randomization; range keeps the profile's range so overrides can be undone
+        this.chaosParams = Object.entries(profile.params).map(([name, param]) => ({
+            name,
+            range: [param.min, param.max],
+            min: param.min,
+            max: param.max,
+            interval: toMilliseconds(param.interval),
+            transition: toMilliseconds(param.transition),
+            easing: param.easing,
+            isBoolean: typeof this.defaultParams[name] === 'boolean',
+            current: Number(this.defaultParams[name]) || 0,
+            target: Number(this.defaultParams[name]) || 0,
+            from: 0,
+            nextChange: 0,
+            transitionStart: 0,
+            transitionDuration: 0
+        }));
+        
+        // Color chaos parameters; current is the color as unrounded { r, g, b }, read from the game parameters on first use
+        this.colorParams = Object.entries(profile.colors).map(([name, color]) => ({
+            name,
+            maxColor: COLOR_GENERATORS[color.generator],
+            interval: toMilliseconds(color.interval),
+            current: null,
+            nextChange: 0
+        }));
+        
+        // Control effects (see CONTROL_EFFECTS), each switched on by chance at random intervals
+        this.controlEffects = Object.entries(profile.effects).map(([name, effect]) => ({
+            name,
+            chance: effect.chance,
+            interval: toMilliseconds(effect.interval),
+            nextChange: 0
+        }));
+        
+        // How often each event is picked, relative to the others, and its settings (see EVENT_SETTINGS)
+        this.chaosEvents.forEach(event => {
+            const { weight, ...settings } = profile.events[event.name] || { weight: 0 };
+            event.weight = weight;
+            event.settings = settings;
+        });
     }
     
     /**
      * Update all chaos parameters
-     * @param {number} timestamp - Current timestamp
+     * @param {number} timestamp - Current simulation time in milliseconds
+     * @param {number} dt - Step duration in seconds
      * @param {boolean} active - Whether the game is active
      * @returns {Object} Updated game parameters
      */
-    update(timestamp, active = true) {
+    update(timestamp, dt, active = true) {
         if (!active) return this.gameParams;
         
         // Don't start chaos until delay has passed
@@ -88,44 +229,93 @@ export class ChaosController {
             this.startTime = timestamp;
         }
         
-        if (timestamp - this.startTime < this.chaosStartDelay) {
+        if (this.config.level === 'off' || timestamp - this.startTime < this.chaosStartDelay) {
             return this.gameParams;
         }
         
+        // Scale ranges, change frequency and event chances for the level and escalation
+        this.intensity = this.getIntensity(timestamp);
+        
         // Update regular parameters
-        this.updateParameters(timestamp);
+        this.updateParameters(timestamp, dt);
         
         // Update colors
-        this.updateColors(timestamp);
+        this.updateColors(timestamp, dt);
+        
+        // Randomly toggle inverted controls, input lag, slippery and sticky paddles
+        this.updateControlEffects(timestamp);
         
-        // Randomly toggle inverted controls
-        this.updateInvertedControls(timestamp);
+        // Start and end discrete events
+        this.updateEvents(timestamp);
         
         return this.gameParams;
     }
     
+    /**
+     * Get the current strength of chaos from the level, ramped up over time when escalation is on
+     * @param {number} timestamp - Current simulation time in milliseconds
+     * @returns {Object} Scales for ranges, change frequency and event chances (see CHAOS_LEVELS); escalation ramps ranges and chances
+     */
+    getIntensity(timestamp) {
+        const level = CHAOS_LEVELS[this.config.level] || CHAOS_LEVELS[DEFAULT_CHAOS.level];
+        if (this.config.escalation !== 'match' && this.config.escalation !== 'rally') {
+            return { ...level };
+        }
+        
+        // Escalation counts from the start of chaos, or from the latest serve
+        const chaosStart = this.startTime + this.chaosStartDelay;
+        const rally = this.config.escalation === 'rally';
+        const since = rally ? Math.max(this.rallyStartTime, chaosStart) : chaosStart;
+        const duration = rally ? this.config.rallyEscalationTime : this.config.matchEscalationTime;
+        const progress = Math.min(1, (timestamp - since) / (duration * 1000));
+        const ramp = ESCALATION_START + (1 - ESCALATION_START) * Math.max(0, progress);
+        
+        return { ...level, range: level.range * ramp, events: level.events * ramp };
+    }
+    
+    /**
+     * Note that a ball was just served, which starts a new rally for escalation
+     * @param {number} timestamp - Current simulation time in milliseconds
+     */
+    startRally(timestamp) {
+        this.rallyStartTime = timestamp;
+    }
+    
     /**
      * Update non-color game parameters
-     * @param {number} timestamp - Current timestamp
+     * @param {number} timestamp - Current simulation time in milliseconds
+     * @param {number} dt - Step duration in seconds
      */
-    updateParameters(timestamp) {
+    updateParameters(timestamp, dt) {
         // Update each chaos parameter
         this.chaosParams.forEach(param => {
             // Check if it's time for a parameter change
             if (timestamp >= param.nextChange) {
-                // Set new target value
-                param.target = param.min + Math.random() * (param.max - param.min);
+                // Set new target value, in the range scaled around the parameter's default and kept within its limits
+                const base = Number(this.defaultParams[param.name]) || 0;
+                const scale = this.intensity.range;
+                const bounds = PARAM_BOUNDS[param.name];
+                const target = this.rng.range(base + (param.min - base) * scale, base + (param.max - base) * scale);
+                param.target = Math.max(bounds.min, Math.min(bounds.max, target));
+                param.from = param.current;
                 
                 // Schedule next change
-                param.nextChange = timestamp + 5000 + Math.random() * 5000;
-                param.transitionDuration = 2000 + Math.random() * 1000;
+                param.nextChange = timestamp + this.rng.range(...param.interval) / this.intensity.frequency;
+                param.transitionDuration = this.rng.range(...param.transition);
                 param.transitionStart = timestamp;
             }
             
-            // Smoothly transition to target value
-            if (timestamp < param.transitionStart + param.transitionDuration) {
+            // Transition to the target value with the parameter's easing
+            const transitioning = timestamp < param.transitionStart + param.transitionDuration;
+            if (param.easing === 'instant' || (param.easing === 'linear' && !transitioning)) {
+                param.current = param.target;
+            } else if (transitioning) {
                 const progress = (timestamp - param.transitionStart) / param.transitionDuration;
-                param.current = param.current + (param.target - param.current) * Math.min(progress, 0.1);
+                if (param.easing === 'linear') {
+                    param.current = param.from + (param.target - param.from) * progress;
+                } else {
+                    param.current = param.current + (param.target - param.current) * frameBlend(Math.min(progress, 0.1), dt);
+                }
             }
             
             // Apply current value to game parameters
@@ -139,43 +329,129 @@ export class ChaosController {
     
     /**
      * Update color parameters
-     * @param {number} timestamp - Current timestamp
+     * @param {number} timestamp - Current simulation time in milliseconds
+     * @param {number} dt - Step duration in seconds
      */
-    updateColors(timestamp) {
+    updateColors(timestamp, dt) {
         this.colorParams.forEach(param => {
             // Generate new colors at random intervals
             if (timestamp >= param.nextChange) {
                 // Set next change time
-                param.nextChange = timestamp + 2000 + Math.random() * 6000;
+                param.nextChange = timestamp + this.rng.range(...param.interval) / this.intensity.frequency;
                 
                 // Set new target color
-                this.targetParams[param.name] = param.getRandomColor();
+                this.targetParams[param.name] = this.rng.color(param.maxColor);
             }
             
-            // Smoothly transition current color to target color
-            this.gameParams[param.name] = transitionColor(
-                this.gameParams[param.name], 
-                this.targetParams[param.name], 
-                0.02  // Transition speed
-            );
+            // Smoothly transition current color to target color; per-side paddle colors start from the shared one
+            // Channels are blended unrounded, so the small blend of each step adds up instead of rounding away
+            if (!param.current) {
+                param.current = hexToRgb(this.gameParams[param.name] || this.gameParams.paddleColor);
+            }
+            const target = hexToRgb(this.targetParams[param.name]);
+            const blend = frameBlend(0.02, dt); // Transition speed
+            ['r', 'g', 'b'].forEach(channel => {
+                param.current[channel] += (target[channel] - param.current[channel]) * blend;
+            });
+            this.gameParams[param.name] = rgbToHex(param.current.r, param.current.g, param.current.b);
         });
     }
     
     /**
-     * Randomly toggle inverted controls
+     * Randomly toggle the control effects
      * @param {number} timestamp - Current timestamp
      */
-    updateInvertedControls(timestamp) {
-        if (timestamp >= this.invertControlsNextChange) {
-            // 15% chance to invert controls
-            const shouldInvert = Math.random() < 0.15;
-            this.gameParams.invertControls = shouldInvert;
+    updateControlEffects(timestamp) {
+        this.controlEffects.forEach(effect => {
+            if (timestamp >= effect.nextChange) {
+                this.gameParams[effect.name] = this.rng.chance(Math.min(1, effect.chance * this.intensity.events));
+                
+                // Set next change time
+                effect.nextChange = timestamp + this.rng.range(...effect.interval) / this.intensity.frequency;
+            }
+        });
+    }
+    
+    /**
+     * End the running event once its time is up, and start a random one when the next is due
+     * @param {number} timestamp - Current simulation time in milliseconds
+     */
+    updateEvents(timestamp) {
+        if (this.activeEvent && timestamp >= this.activeEvent.endTime) {
+            const { event } = this.activeEvent;
+            event.end(this.gameParams);
+            this.activeEvent = null;
+            this.emit('chaosEventEnd', { name: event.name });
             
-            // Set next change time (10-20 seconds)
-            this.invertControlsNextChange = timestamp + 10000 + Math.random() * 10000;
+            // Give players a breather before the next event (8-16 seconds)
+            this.nextEventTime = timestamp + this.rng.range(8000, 16000) / this.intensity.frequency;
+        }
+        
+        // Nothing to do while an event runs, or when the profile has no events
+        if (this.activeEvent || !this.chaosEvents.some(event => event.weight > 0)) return;
+        
+        // The first event comes 5-10 seconds after chaos starts
+        if (this.nextEventTime === 0) {
+            this.nextEventTime = timestamp + this.rng.range(5000, 10000) / this.intensity.frequency;
+        }
+        
+        if (timestamp >= this.nextEventTime) {
+            // Lower intensities skip some of their turns
+            if (!this.rng.chance(this.intensity.events)) {
+                this.nextEventTime = timestamp + this.rng.range(8000, 16000) / this.intensity.frequency;
+                return;
+            }
+            
+            const event = this.pickEvent();
+            const duration = this.rng.range(event.minDuration, event.maxDuration);
+            event.start(this.gameParams, this.rng, event.settings);
+            this.activeEvent = { event, endTime: timestamp + duration };
+            this.emit('chaosEventStart', { name: event.name, banner: event.banner, duration });
         }
     }
     
+    /**
+     * Pick a random event, in proportion to the events' weights
+     * @returns {Object} Event from chaosEvents
+     */
+    pickEvent() {
+        const weighted = this.chaosEvents.filter(event => event.weight > 0);
+        let roll = this.rng.range(0, weighted.reduce((total, event) => total + event.weight, 0));
+        
+        for (const event of weighted) {
+            roll -= event.weight;
+            if (roll < 0) return event;
+        }
+        return weighted[weighted.length - 1]; // Rounding can leave the roll a hair short
+    }
+    
+    /**
+     * Announce an event to the owner of this controller
+     * @param {string} type - Event type
+     * @param {Object} data - Event data
+     */
+    emit(type, data) {
+        if (this.emitEvent) {
+            this.emitEvent(type, data);
+        }
+    }
+    
+    /**
+     * Get the game parameters as they will be once the current transitions finish
+     * @returns {Object} Game parameters with every changing value at its target
+     */
+    getSettledParams() {
+        const settled = { ...this.gameParams };
+        
+        this.chaosParams.forEach(param => {
+            if (!param.isBoolean && settled[param.name] !== undefined) {
+                settled[param.name] = param.target;
+            }
+        });
+        
+        return settled;
+    }
+    
     /**
      * Reset all parameters to defaults
      */
@@ -183,7 +459,12 @@ export class ChaosController {
         this.gameParams = { ...this.defaultParams };
         this.targetParams = { ...this.defaultParams };
         this.startTime = 0;
-        this.invertControlsNextChange = 0;
+        this.controlEffects.forEach(effect => {
+            effect.nextChange = 0;
+        });
+        this.activeEvent = null;
+        this.nextEventTime = 0;
+        this.rallyStartTime = 0;
         
         // Reset all chaos parameters
         this.chaosParams.forEach(param => {
@@ -194,7 +475,7 @@ export class ChaosController {
         
         // Reset all color parameters
         this.colorParams.forEach(param => {
-            param.current = this.defaultParams[param.name];
+            param.current = null;
             param.nextChange = 0;
         });
     }
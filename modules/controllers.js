@@ -0,0 +1,331 @@
+// Paddle controllers for Crazy Pong game
+// Every tick a controller gets a read-only snapshot of the game and returns a movement intent:
+// { move } with move from -1 (up) to 1 (down), or { targetY } to steer the paddle's center toward a world Y,
+// plus serve: true to serve a held ball, or null to let the simulation's built-in AI play the paddle.
+// Intents are raw: the simulation applies chaos control effects such as inverted controls when it reads them.
+import { getFieldOffset } from './utils.js';
+
+/**
+ * Freeze an object and everything inside it
+ * @param {Object} value - Object to freeze
+ * @returns {Object} The same object, frozen
+ */
+function deepFreeze(value) {
+    Object.values(value).forEach(child => {
+        if (child && typeof child === 'object') {
+            deepFreeze(child);
+        }
+    });
+    return Object.freeze(value);
+}
+
+/**
+ * Copy the position, size and speed of a paddle
+ * @param {Paddle} paddle - Paddle to copy
+ * @returns {Object} Paddle state ({ x, y, width, height, speed }); speed includes handicaps, unlike params.paddleSpeed
+ */
+function paddleState(paddle) {
+    return { x: paddle.x, y: paddle.y, width: paddle.width, height: paddle.height, speed: paddle.gameParams.paddleSpeed };
+}
+
+/**
+ * Take a read-only snapshot of what a controller may look at
+ * @param {Simulation} simulation - Simulation to describe
+ * @returns {Object} Frozen game state ({ time, bounds, field, params, paddles, balls, score, serve })
+ */
+export function createSnapshot(simulation) {
+    const params = simulation.params;
+    const serve = simulation.serve;
+    
+    return deepFreeze({
+        time: simulation.time / 1000, // Seconds since the match started
+        bounds: { ...simulation.bounds },
+        field: getFieldOffset(simulation.bounds, params),
+        params: {
+            ballSpeed: params.ballSpeed,
+            ballSize: params.ballSize,
+            paddleSize: params.paddleSize,
+            paddleWidth: params.paddleWidth,
+            paddleSpeed: params.paddleSpeed,
+            ballGravityX: params.ballGravityX,
+            ballGravityY: params.ballGravityY,
+            multiball: params.multiball,
+            invertControls: params.invertControls,
+            inputLag: params.inputLag,
+            slipperyPaddles: params.slipperyPaddles,
+            stickyPaddles: params.stickyPaddles,
+            swapPaddles: params.swapPaddles,
+            freezePaddles: params.freezePaddles
+        },
+        paddles: {
+            left: paddleState(simulation.paddleLeft),
+            right: paddleState(simulation.paddleRight)
+        },
+        balls: simulation.balls.map(ball => ({
+            x: ball.x,
+            y: ball.y,
+            dx: ball.dx,
+            dy: ball.dy,
+            size: ball.size,
+            spin: ball.spin,
+            held: Boolean(ball.heldBy)
+        })),
+        score: { left: simulation.leftScore, right: simulation.rightScore },
+        serve: { side: serve.isActive() ? serve.side : null, holding: serve.holding }
+    });
+}
+
+/**
+ * Ask both controllers for their input for the next simulation step
+ * @param {Simulation} simulation - Simulation about to step
+ * @param {Object} controllers - Controller per side ({ left, right })
+ * @returns {Object} Inputs for Simulation.step ({ left, right })
+ */
+export function getControllerInputs(simulation, controllers) {
+    const state = createSnapshot(simulation);
+    
+    return {
+        left: controllers.left.getInput(state, 'left'),
+        right: controllers.right.getInput(state, 'right')
+    };
+}
+
+/**
+ * Controller class - base for everything that can move a paddle
+ */
+export class Controller {
+    /**
+     * Create a controller
+     * @param {string} name - Name shown in the HUD
+     * @param {boolean} human - Whether a person is playing through this controller
+     */
+    constructor(name, human = false) {
+        this.name = name;
+        this.human = human;
+    }
+    
+    /**
+     * Decide the input for the next step
+     * @param {Object} state - Read-only game state (see createSnapshot)
+     * @param {string} side - Paddle side (left/right)
+     * @returns {Object|null} Paddle input ({ move, serve }), or null for the built-in AI
+     */
+    getInput(state, side) {
+        return null;
+    }
+    
+    /**
+     * Forget any per-match state
+     */
+    reset() {}
+}
+
+/**
+ * AIController class - hands the paddle to the simulation's built-in AI (see PaddleAI)
+ * The AI runs inside the simulation, so its difficulty is part of the match config and replays stay tiny
+ */
+export class AIController extends Controller {
+    constructor() {
+        super('AI');
+    }
+}
+
+/**
+ * KeyboardController class - moves a paddle with the up and down keys bound to its side
+ */
+export class KeyboardController extends Controller {
+    /**
+     * Create a keyboard controller
+     * @param {Object} keys - Shared pressed-key state by KeyboardEvent.code, kept up to date by the game's key handlers
+     * @param {KeyBindings} bindings - Key bindings, read every step so rebinding takes effect at once
+     * @param {string} side - Paddle side whose keys to use (left/right)
+     */
+    constructor(keys, bindings, side) {
+        super('Human', true);
+        this.keys = keys;
+        this.bindings = bindings;
+        this.side = side;
+    }
+    
+    getInput() {
+        const up = this.keys[this.bindings.get(this.side, 'up')];
+        const down = this.keys[this.bindings.get(this.side, 'down')];
+        return { move: (down ? 1 : 0) - (up ? 1 : 0) };
+    }
+}
+
+/**
+ * PointerController class - steers a paddle toward a mouse, pen or finger
+ * The simulation moves the paddle to the target as fast as paddleSpeed allows
+ */
+export class PointerController extends Controller {
+    constructor() {
+        super('Human', true);
+        this.targetY = null; // World Y of the pointer, or null when not following one
+    }
+    
+    /**
+     * Follow a pointer
+     * @param {number} y - Pointer position in world units
+     */
+    setTarget(y) {
+        this.targetY = y;
+    }
+    
+    /**
+     * Stop following the pointer
+     */
+    release() {
+        this.targetY = null;
+    }
+    
+    getInput() {
+        return this.targetY === null ? { move: 0 } : { targetY: this.targetY };
+    }
+    
+    reset() {
+        this.release();
+    }
+}
+
+// Buttons of the standard gamepad layout (see the Gamepad API's "standard" mapping)
+export const GAMEPAD_BUTTONS = {
+    serve: 0, // A / Cross
+    swap: 8, // Back / Select: switch to the other paddle
+    pause: 9, // Start / Options
+    up: 12, // D-pad up
+    down: 13 // D-pad down
+};
+
+/**
+ * Check whether a gamepad button is held down
+ * @param {Gamepad} gamepad - Gamepad to read
+ * @param {number} index - Button index
+ * @returns {boolean} Whether the button is pressed
+ */
+function isButtonPressed(gamepad, index) {
+    const button = gamepad.buttons[index];
+    return Boolean(button && button.pressed);
+}
+
+/**
+ * GamepadController class - moves a paddle with a gamepad's left stick or D-pad
+ * The game polls the Gamepad API once per frame and hands each pad's state to poll()
+ */
+export class GamepadController extends Controller {
+    /**
+     * Create a gamepad controller
+     * @param {number} index - Gamepad index in navigator.getGamepads()
+     * @param {string} side - Paddle side the pad is assigned to (left/right)
+     */
+    constructor(index, side) {
+        super(`Pad ${index + 1}`, true);
+        this.index = index;
+        this.side = side;
+        this.deadZone = 0.2; // Stick deflection ignored around the center
+        this.move = 0; // Latest movement from the stick or D-pad (-1 to 1)
+        this.held = {}; // Buttons held at the last poll, to report each press once
+    }
+    
+    /**
+     * Read the pad's current state
+     * @param {Gamepad} gamepad - Fresh gamepad state from navigator.getGamepads()
+     * @returns {string[]} Buttons pressed since the last poll (serve, swap, pause)
+     */
+    poll(gamepad) {
+        // Stick speed scales with deflection past the dead zone
+        const axis = gamepad.axes[1] || 0;
+        const deflection = Math.max(0, (Math.abs(axis) - this.deadZone) / (1 - this.deadZone));
+        const stick = Math.sign(axis) * Math.min(1, deflection);
+        
+        // The D-pad moves at full speed and wins over the stick
+        const dpad = (isButtonPressed(gamepad, GAMEPAD_BUTTONS.down) ? 1 : 0) - (isButtonPressed(gamepad, GAMEPAD_BUTTONS.up) ? 1 : 0);
+        this.move = dpad !== 0 ? dpad : stick;
+        
+        const presses = [];
+        ['serve', 'swap', 'pause'].forEach(action => {
+            const down = isButtonPressed(gamepad, GAMEPAD_BUTTONS[action]);
+            if (down && !this.held[action]) {
+                presses.push(action);
+            }
+            this.held[action] = down;
+        });
+        return presses;
+    }
+    
+    getInput() {
+        return { move: this.move };
+    }
+}
+
+/**
+ * ScriptController class - runs a user-written bot
+ * A bot is a function (state, side) => input, or an object { name, getInput(state, side), reset() }
+ */
+export class ScriptController extends Controller {
+    /**
+     * Wrap a bot
+     * @param {Function|Object} bot - Bot function or object
+     * @param {string} name - Name to show when the bot doesn't have one
+     */
+    constructor(bot, name = 'Bot') {
+        const isFunction = typeof bot === 'function';
+        if (!isFunction && !(bot && typeof bot.getInput === 'function')) {
+            throw new Error('A bot must be a function or an object with a getInput(state, side) method');
+        }
+        
+        super((!isFunction && bot.name) || name);
+        this.bot = bot;
+        this.lastError = null; // Last error thrown by the bot, if any
+    }
+    
+    getInput(state, side) {
+        let input;
+        try {
+            input = typeof this.bot === 'function' ? this.bot(state, side) : this.bot.getInput(state, side);
+        } catch (error) {
+            // A crashing bot stands still rather than stopping the match
+            this.lastError = error;
+            return { move: 0 };
+        }
+        
+        // Only pass on a well-formed intent
+        const move = Number(input && input.move);
+        const result = input && Number.isFinite(input.targetY)
+            ? { targetY: input.targetY }
+            : { move: Number.isFinite(move) ? Math.max(-1, Math.min(1, move)) : 0 };
+        if (input && input.serve) {
+            result.serve = true;
+        }
+        return result;
+    }
+    
+    reset() {
+        this.lastError = null;
+        if (typeof this.bot.reset === 'function') {
+            this.bot.reset();
+        }
+    }
+}
+
+/**
+ * Load a bot module
+ * The module's default export is the bot, and an exported name labels it; bot files must not import anything else
+ * @param {string} url - Module URL or path (Node: a file URL)
+ * @param {string} name - Name to show when the bot doesn't have one
+ * @returns {Promise<ScriptController>} Controller running the bot
+ */
+export async function loadBot(url, name) {
+    const module = await import(url);
+    return new ScriptController(module.default || module.getInput, module.name || name);
+}
+
+/**
+ * Load a bot from the text of a module, e.g. a file picked in the browser
+ * @param {string} source - JavaScript module source
+ * @param {string} name - Name to show when the bot doesn't have one
+ * @returns {Promise<ScriptController>} Controller running the bot
+ */
+export function loadBotSource(source, name) {
+    return loadBot(`data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`, name);
+}
@@ -1,82 +1,97 @@
 // Main Game class for Crazy Pong
 import { getFieldOffset, inverseColor } from './utils.js';
-import { Paddle } from './paddle.js';
-import { Ball } from './ball.js';
-import { ChaosController } from './chaos.js';
+import { Simulation, WORLD_WIDTH, WORLD_HEIGHT, HANDICAPS } from './simulation.js';
 import { SoundManager } from './sound.js';
+import { parseSeed, randomSeed } from './random.js';
+import { MatchRecorder, InstantReplayBuffer, parseRecording } from './replay.js';
+import { AIController, KeyboardController, PointerController, GamepadController, getControllerInputs, loadBotSource } from './controllers.js';
+import { KeyBindings, BINDING_ACTIONS, describeCode } from './bindings.js';
+import { ChaosProfiles, parseChaosProfile, validateChaosProfile } from './profiles.js';
+import { StateMachine, ControlsState, TitleState, CountdownState, PlayingState, PausedState, ResultsState, ReplayState, InstantReplayState } from './states.js';
+import { getStorage } from './storage.js';
 
 /**
- * Main Game class that manages the entire game
+ * Main Game class - connects the simulation to the canvas, DOM and input devices
  */
 export class Game {
     /**
      * Create a new game instance
+     * @param {Object} options - Optional settings
+     * @param {Object} options.rules - Match rule overrides (see DEFAULT_RULES)
      */
-    constructor() {
-        // Default game configuration
-        this.defaultParams = {
-            ballSpeed: 5,
-            ballSize: 10,
-            paddleSize: 100, // Changed from paddleHeight to paddleSize
-            paddleWidth: 15,
-            paddleSpeed: 8,
-            paddleColor: '#00ffff', // Cyan neon color
-            fieldWidth: 0.9,
-            fieldHeight: 0.9,
-            ballColor: '#ff00ff', // Magenta neon color
-            backgroundColor: '#0a0a12', // Dark background
-            fieldBorderColor: '#1c1c35', // Light border
-            trailEffect: true,
-            paddlePulse: false,
-            screenShake: true,
-            invertControls: false,
-            ballGravityX: 0,
-            ballGravityY: 0,
-            multiball: false,
-            transitionSpeed: 0.05,
-            useNeonEffects: true, // Enable neon glow effects
-            useParticles: true // Enable particle effects
-        };
-        
+    constructor(options = {}) {
         // Game state variables
         this.canvas = null;
         this.ctx = null;
+        this.renderScale = 1; // Canvas pixels per world unit
         this.shakeAmount = 0;
-        this.maxBalls = 5;
         this.gameActive = true;
-        this.leftScore = 0;
-        this.rightScore = 0;
-        this.leftPaddleAI = true;
-        this.rightPaddleAI = true;
-        this.leftManualControl = false;
-        this.invertControlsWarningActive = false;
-        this.lastMultiballTime = 0;
-        this.lastRandomMultiballTime = 0;
-        this.multiballActive = false;
-        this.multiballInterval = null;
+        this.showAIDebug = false; // Draw what the AI paddles are planning (F3)
+        this.matchInfoText = '';
+        this.modifierTexts = { left: '', right: '' }; // Paddle modifiers shown in the HUD
+        
+        // Fixed-timestep simulation state
+        this.timestep = 1 / 120; // Simulation step in seconds
+        this.maxFrameTime = 0.25; // Clamp long frames (tab switches) to avoid a spiral of death
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.shakeDecay = Math.pow(0.92, 60); // Fraction of shake left after one second
+        
+        // Banner announcing chaos events (simulation time, so it waits while paused)
+        this.bannerDuration = 2; // Seconds the banner stays up
+        this.bannerTimeLeft = 0;
         
         // Initialize audio
         this.soundManager = new SoundManager();
         
-        // Initialize parameters
-        this.params = { ...this.defaultParams };
-        this.targetParams = { ...this.defaultParams };
+        // Input state: pressed keys by KeyboardEvent.code, and the keys bound to each paddle
+        this.keys = {};
+        this.bindings = new KeyBindings(getStorage());
         
-        // Input state
-        this.keys = {
-            w: false,
-            s: false,
-            ArrowUp: false,
-            ArrowDown: false
-        };
-        
-        // Game objects
-        this.paddleLeft = null;
-        this.paddleRight = null;
-        this.balls = [];
+        // Built-in and imported chaos profiles for the title screen
+        this.chaosProfiles = new ChaosProfiles(getStorage());
+        this.keyLayout = null; // Printed key labels, where the browser can tell (see describeKey)
         
-        // Chaos controller
-        this.chaosController = new ChaosController(this.defaultParams);
+        // Paddle controllers: the built-in AI (or a loaded bot) until a player jumps in
+        this.aiController = new AIController();
+        this.keyboardControllers = {
+            left: new KeyboardController(this.keys, this.bindings, 'left'),
+            right: new KeyboardController(this.keys, this.bindings, 'right')
+        };
+        this.pointerControllers = {
+            left: new PointerController(),
+            right: new PointerController()
+        };
+        this.pointerSides = new Map(); // Paddle each active pointer is steering, by pointerId
+        this.gamepads = new Map(); // Connected gamepads by index
+        this.bots = { left: null, right: null };
+        this.controllers = { left: this.aiController, right: this.aiController };
+        
+        // One-shot serve presses, passed to the simulation with the next step's input
+        this.serveRequests = { left: false, right: false };
+        
+        // Headless simulation: field, paddles, balls, chaos and scoring
+        this.simulation = new Simulation({ rules: options.rules });
+        
+        // Match recording for replays and bug reports
+        this.recorder = new MatchRecorder();
+        this.lastRecording = null;
+        
+        // Slow-motion replay of the last few seconds after each point
+        this.instantReplay = new InstantReplayBuffer(3, this.timestep);
+        this.instantReplayEnabled = true;
+        
+        // Game flow: title, countdown, playing, paused, results and replay
+        this.stateMachine = new StateMachine({
+            title: new TitleState(this),
+            controls: new ControlsState(this),
+            countdown: new CountdownState(this),
+            playing: new PlayingState(this),
+            paused: new PausedState(this),
+            results: new ResultsState(this),
+            replay: new ReplayState(this),
+            instantReplay: new InstantReplayState(this)
+        });
     }
     
     /**
@@ -90,61 +105,33 @@ export class Game {
         // Resize canvas to fit window
         this.resizeCanvas();
         
-        // Create game objects
-        this.createGameObjects();
-        
         // Set up event listeners
         this.setupEventListeners();
         
-        // Reset scores
-        this.leftScore = 0;
-        this.rightScore = 0;
+        // Show initial scores
         this.updateScoreDisplay();
+        this.updateMatchInfo();
         
         // Update player labels
         this.updatePlayerLabels();
         
-        // Start the game loop
-        requestAnimationFrame(this.gameLoop.bind(this));
-    }
-    
-    /**
-     * Create initial game objects
-     */
-    createGameObjects() {
-        const field = getFieldOffset(this.canvas, this.params);
-        
-        // Set default paddle color if not specified
-        if (!this.params.paddleColor) {
-            this.params.paddleColor = '#00ffff';
+        // Show the bound keys, with their printed labels once the browser reports the layout
+        this.updateControlsScreen();
+        if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+            navigator.keyboard.getLayoutMap().then(layout => {
+                this.keyLayout = layout;
+                this.updateControlsScreen();
+            }).catch(() => {});
         }
         
-        // Create paddles - ensure we're using paddleSize for height
-        this.paddleLeft = new Paddle(
-            field.x + 10, 
-            field.y + (field.height - this.params.paddleSize) / 2,
-            true, 
-            this.params
-        );
+        // List the chaos profiles on the title screen
+        this.updateProfileSelect();
         
-        this.paddleRight = new Paddle(
-            field.x + field.width - 10 - this.params.paddleWidth,
-            field.y + (field.height - this.params.paddleSize) / 2,
-            false,
-            this.params
-        );
+        // Open on the title screen
+        this.stateMachine.change('title');
         
-        // Create main ball - pass a deep copy of params to ensure it has its own copy of colors
-        const mainBall = new Ball(
-            this.canvas, 
-            this.ctx, 
-            {...this.params},
-            this.updateScore.bind(this),
-            {}, // No custom options
-            this.soundManager // Pass the sound manager
-        );
-        
-        this.balls = [mainBall];
+        // Start the game loop
+        requestAnimationFrame(this.gameLoop.bind(this));
     }
     
     /**
@@ -155,168 +142,293 @@ export class Game {
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
         document.addEventListener('keyup', this.handleKeyUp.bind(this));
         
-        // Touch controls for mobile (only if methods are defined) - but disable mouse controls
-        if (typeof this.handleTouchStart === 'function' && 'ontouchstart' in window) {
-            this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
+        // Mouse, pen and touch controls
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            this.canvas.addEventListener(type, this.handlePointerUp.bind(this));
+        });
+        
+        // Gamepads are polled every frame; these events just notice plugging and unplugging sooner
+        window.addEventListener('gamepadconnected', e => this.connectGamepad(e.gamepad.index));
+        window.addEventListener('gamepaddisconnected', e => this.disconnectGamepad(e.gamepad.index));
+        
+        // Menu and screen buttons
+        const replay = this.stateMachine.states.replay;
+        const buttons = {
+            startButton: () => this.startMatch(),
+            rematchButton: () => this.startMatch(),
+            menuButton: () => this.stateMachine.change('title'),
+            pauseButton: () => this.togglePause(),
+            watchReplayButton: () => this.watchReplay(),
+            saveReplayButton: () => this.exportRecording(this.lastRecording),
+            loadReplayButton: () => document.getElementById('replayFileInput').click(),
+            importProfileButton: () => document.getElementById('profileFileInput').click(),
+            exportProfileButton: () => this.exportProfile(),
+            controlsButton: () => this.stateMachine.change('controls'),
+            controlsDoneButton: () => this.stateMachine.change('title'),
+            controlsResetButton: () => {
+                this.bindings.restoreDefaults();
+                this.updateControlsScreen('Default keys restored');
+            },
+            leftBotButton: () => this.toggleBot('left'),
+            rightBotButton: () => this.toggleBot('right'),
+            replayPlayButton: () => replay.togglePlay(),
+            replayBackButton: () => replay.stepFrame(-1),
+            replayForwardButton: () => replay.stepFrame(1),
+            replayExitButton: () => this.stateMachine.change('title')
+        };
+        for (const [id, handler] of Object.entries(buttons)) {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        }
+        
+        // Match rule selectors on the title screen
+        document.querySelectorAll('.rules-select').forEach(select => {
+            select.addEventListener('change', this.applyMenuRules.bind(this));
+        });
+        
+        // Ball collision and instant replay toggles on the title screen
+        const ballCollisionsSelect = document.getElementById('ballCollisionsSelect');
+        if (ballCollisionsSelect) {
+            ballCollisionsSelect.addEventListener('change', () => {
+                this.simulation.configure({ ballCollisions: ballCollisionsSelect.value === 'on' });
+            });
+        }
+        
+        const instantReplaySelect = document.getElementById('instantReplaySelect');
+        if (instantReplaySelect) {
+            instantReplaySelect.addEventListener('change', () => {
+                this.instantReplayEnabled = instantReplaySelect.value === 'on';
+            });
         }
-        if (typeof this.handleTouchMove === 'function' && 'ontouchstart' in window) {
-            this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
+        
+        // Replay seek bar, speed selector and file import
+        const seekBar = document.getElementById('replaySeek');
+        if (seekBar) {
+            seekBar.addEventListener('input', () => replay.seek(Number(seekBar.value)));
+        }
+        const speedSelect = document.getElementById('replaySpeedSelect');
+        if (speedSelect) {
+            speedSelect.addEventListener('change', () => replay.setSpeed(Number(speedSelect.value)));
+        }
+        const fileInput = document.getElementById('replayFileInput');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.importRecording(fileInput.files[0]);
+                }
+                // Allow loading the same file again
+                fileInput.value = '';
+            });
         }
-        if (typeof this.handleTouchEnd === 'function' && 'ontouchstart' in window) {
-            this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        
+        // Chaos profile files
+        const profileInput = document.getElementById('profileFileInput');
+        if (profileInput) {
+            profileInput.addEventListener('change', () => {
+                if (profileInput.files.length > 0) {
+                    this.importProfile(profileInput.files[0]);
+                }
+                profileInput.value = '';
+            });
         }
         
-        // Remove mouse event handlers entirely to avoid conflicts with keyboard controls
+        // Bot scripts for either paddle
+        ['left', 'right'].forEach(side => {
+            const botInput = document.getElementById(`${side}BotInput`);
+            if (botInput) {
+                botInput.addEventListener('change', () => {
+                    if (botInput.files.length > 0) {
+                        this.importBot(side, botInput.files[0]);
+                    }
+                    botInput.value = '';
+                });
+            }
+        });
+        
+        // Pause automatically when the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.stateMachine.is('playing')) {
+                this.stateMachine.change('paused');
+            }
+        });
         
         // Window resize events
         window.addEventListener('resize', this.resizeCanvas.bind(this));
     }
     
     /**
-     * Resize canvas to fit window
+     * Resize canvas to match its on-screen size and scale the world to fit
      */
     resizeCanvas() {
-        this.canvas.width = window.innerWidth * 0.9;
-        this.canvas.height = window.innerHeight * 0.8;
+        // Render at device resolution for crisp lines
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = this.canvas.clientWidth * pixelRatio;
+        this.canvas.height = this.canvas.clientHeight * pixelRatio;
         
-        // Reposition paddles after resize
-        if (this.paddleLeft && this.paddleRight) {
-            const field = getFieldOffset(this.canvas, this.params);
-            
-            this.paddleLeft.x = field.x + 10;
-            this.paddleRight.x = field.x + field.width - 10 - this.params.paddleWidth;
-            
-            this.paddleLeft.y = field.y + (field.height - this.paddleLeft.height) / 2;
-            this.paddleRight.y = field.y + (field.height - this.paddleRight.height) / 2;
-        }
+        // The world has a fixed size; scale it uniformly to the canvas
+        this.renderScale = Math.min(this.canvas.width / WORLD_WIDTH, this.canvas.height / WORLD_HEIGHT);
     }
     
     /**
-     * Handle touch start (if available on device)
-     * @param {TouchEvent} e - Touch event
+     * Convert a client (page) Y coordinate to a world Y coordinate
+     * @param {number} clientY - Y coordinate from a pointer event
+     * @returns {number} Y position in world units
      */
-    handleTouchStart(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const touchX = touch.clientX;
-        const touchY = touch.clientY;
+    toWorldY(clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (clientY - rect.top) / rect.height * WORLD_HEIGHT;
+    }
+    
+    /**
+     * Find which paddle's half of the canvas a pointer is over
+     * @param {number} clientX - X coordinate from a pointer event
+     * @returns {string} Paddle side (left/right)
+     */
+    getPointerSide(clientX) {
+        const rect = this.canvas.getBoundingClientRect();
+        const onLeft = clientX - rect.left < rect.width / 2;
         
-        // Determine if touch is on left or right side of screen
-        const isLeftSide = touchX < window.innerWidth / 2;
+        // Mirror world draws each paddle on the other half
+        return onLeft !== Boolean(this.simulation.params.mirrorField) ? 'left' : 'right';
+    }
+    
+    /**
+     * Turn a simulation x coordinate into where it is drawn, which is flipped in mirror world
+     * @param {number} x - X coordinate in the simulation
+     * @returns {number} X coordinate on the canvas (before screen shake)
+     */
+    toScreenX(x) {
+        return this.simulation.params.mirrorField ? this.simulation.bounds.width - x : x;
+    }
+    
+    /**
+     * Handle a mouse button, pen or finger going down on the canvas
+     * Every pointer steers the paddle on its own half, so two players can share a touch screen
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        e.preventDefault();
         
-        if (isLeftSide) {
-            // Left paddle control
-            this.leftPaddleAI = false;
-            this.leftManualControl = true;
-            
-            let paddleCenter = this.paddleLeft.y + this.paddleLeft.height / 2;
-            if (touchY < paddleCenter) {
-                this.keys.w = !this.params.invertControls;
-                this.keys.s = this.params.invertControls;
-            } else {
-                this.keys.w = this.params.invertControls;
-                this.keys.s = !this.params.invertControls;
+        // Outside of play a tap belongs to the current screen (once, not per finger)
+        if (!this.stateMachine.is('playing') && !this.stateMachine.is('countdown')) {
+            if (e.isPrimary) {
+                this.stateMachine.current.handleTap();
             }
-        } else {
-            // Right paddle control
-            this.rightPaddleAI = false;
-            
-            let paddleCenter = this.paddleRight.y + this.paddleRight.height / 2;
-            if (touchY < paddleCenter) {
-                this.keys.ArrowUp = !this.params.invertControls;
-                this.keys.ArrowDown = this.params.invertControls;
-            } else {
-                this.keys.ArrowUp = this.params.invertControls;
-                this.keys.ArrowDown = !this.params.invertControls;
+            return;
+        }
+        
+        const side = this.getPointerSide(e.clientX);
+        
+        // A tap on your own half serves a held ball
+        this.requestServe(side);
+        
+        // The newest pointer on a half takes that paddle; a pointer that moved halves lets go of its old paddle
+        this.releasePointer(e.pointerId);
+        for (const [pointerId, pointerSide] of this.pointerSides) {
+            if (pointerSide === side) {
+                this.pointerSides.delete(pointerId);
             }
         }
+        this.pointerSides.set(e.pointerId, side);
+        this.pointerControllers[side].setTarget(this.toWorldY(e.clientY));
+        this.setController(side, this.pointerControllers[side]);
         
-        if (typeof this.updatePlayerLabels === 'function') {
-            this.updatePlayerLabels();
+        // Keep following a pen or finger that slides off the canvas
+        if (e.pointerType !== 'mouse' && this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
         }
     }
     
     /**
-     * Handle touch move
-     * @param {TouchEvent} e - Touch event
+     * Handle a pointer moving over the canvas
+     * @param {PointerEvent} e - Pointer event
      */
-    handleTouchMove(e) {
-        e.preventDefault();
-        const touch = e.touches[0];
-        const touchX = touch.clientX;
-        const touchY = touch.clientY;
-        
-        // Determine if touch is on left or right side of screen
-        const isLeftSide = touchX < window.innerWidth / 2;
-        
-        if (isLeftSide) {
-            // Left paddle control
-            let paddleCenter = this.paddleLeft.y + this.paddleLeft.height / 2;
-            if (touchY < paddleCenter) {
-                this.keys.w = !this.params.invertControls;
-                this.keys.s = this.params.invertControls;
-            } else {
-                this.keys.w = this.params.invertControls;
-                this.keys.s = !this.params.invertControls;
-            }
-        } else {
-            // Right paddle control
-            let paddleCenter = this.paddleRight.y + this.paddleRight.height / 2;
-            if (touchY < paddleCenter) {
-                this.keys.ArrowUp = !this.params.invertControls;
-                this.keys.ArrowDown = this.params.invertControls;
-            } else {
-                this.keys.ArrowUp = this.params.invertControls;
-                this.keys.ArrowDown = !this.params.invertControls;
-            }
+    handlePointerMove(e) {
+        const side = this.pointerSides.get(e.pointerId);
+        if (side) {
+            this.pointerControllers[side].setTarget(this.toWorldY(e.clientY));
         }
     }
     
     /**
-     * Handle touch end
-     * @param {TouchEvent} e - Touch event
+     * Handle a pointer being lifted, cancelled or leaving the canvas
+     * @param {PointerEvent} e - Pointer event
      */
-    handleTouchEnd(e) {
-        e.preventDefault();
-        this.keys.w = false;
-        this.keys.s = false;
-        this.keys.ArrowUp = false;
-        this.keys.ArrowDown = false;
+    handlePointerUp(e) {
+        // A mouse keeps steering after a click, until it leaves the canvas
+        if (e.type === 'pointerup' && e.pointerType === 'mouse') return;
+        
+        this.releasePointer(e.pointerId);
     }
     
     /**
-     * Handle keyboard press
+     * Stop a pointer steering its paddle, leaving the other paddle's pointer alone
+     * @param {number} pointerId - Pointer to release
+     */
+    releasePointer(pointerId) {
+        const side = this.pointerSides.get(pointerId);
+        if (side) {
+            this.pointerControllers[side].release();
+            this.pointerSides.delete(pointerId);
+        }
+    }
+    
+    /**
+     * Handle keyboard press - each game state decides what keys do
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyDown(e) {
-        const invertControls = this.params.invertControls;
-        
-        // Update appropriate key state based on inverted control setting
-        if (e.key.toLowerCase() === 'w') this.keys.w = !invertControls;
-        if (e.key.toLowerCase() === 's') this.keys.s = !invertControls;
-        if (e.key === 'ArrowUp') this.keys.ArrowUp = !invertControls;
-        if (e.key === 'ArrowDown') this.keys.ArrowDown = !invertControls;
+        // Leave typing in form fields alone
+        if (e.target && (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT')) return;
         
-        // If controls are inverted, also set the opposite key
-        if (invertControls) {
-            if (e.key.toLowerCase() === 'w') this.keys.s = true;
-            if (e.key.toLowerCase() === 's') this.keys.w = true;
-            if (e.key === 'ArrowUp') this.keys.ArrowDown = true;
-            if (e.key === 'ArrowDown') this.keys.ArrowUp = true;
+        // F3 toggles the AI debug overlay on any screen
+        if (e.key === 'F3') {
+            e.preventDefault();
+            this.showAIDebug = !this.showAIDebug;
+            return;
         }
         
-        // Manual control for left paddle
-        if (e.key.toLowerCase() === 'w' || e.key.toLowerCase() === 's') {
-            this.leftManualControl = true;
-            this.leftPaddleAI = false;
-            this.updatePlayerLabels();
-        }
+        this.stateMachine.current.handleKeyDown(e);
+    }
+    
+    /**
+     * Check whether a key event is one of the paddle movement keys
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} Whether the key moves a paddle
+     */
+    isMovementKey(e) {
+        return this.bindings.findMovement(e.code) !== null;
+    }
+    
+    /**
+     * Check whether a key event pauses the game (Escape or a bound pause key)
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} Whether the key pauses
+     */
+    isPauseKey(e) {
+        return e.code === 'Escape' || this.bindings.find(e.code).some(binding => binding.action === 'pause');
+    }
+    
+    /**
+     * Handle a paddle movement key press
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleMovementKeyDown(e) {
+        const movement = this.bindings.findMovement(e.code);
+        if (!movement) return;
         
-        // Manual control for right paddle
-        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
-            this.rightPaddleAI = false;
-            this.updatePlayerLabels();
-        }
+        // Keep arrow keys from scrolling the page
+        e.preventDefault();
+        
+        // Key state stays raw; chaos effects like inverted controls are applied when the simulation reads the intent
+        this.keys[e.code] = true;
+        
+        // Manual control for the paddle the key belongs to
+        this.setController(movement.side, this.keyboardControllers[movement.side]);
     }
     
     /**
@@ -324,35 +436,328 @@ export class Game {
      * @param {KeyboardEvent} e - Keyboard event
      */
     handleKeyUp(e) {
-        const invertControls = this.params.invertControls;
+        this.keys[e.code] = false;
+    }
+    
+    /**
+     * Release all movement keys
+     */
+    releaseKeys() {
+        Object.keys(this.keys).forEach(code => {
+            this.keys[code] = false;
+        });
+        this.pointerControllers.left.release();
+        this.pointerControllers.right.release();
+        this.pointerSides.clear();
+    }
+    
+    /**
+     * Describe a key for the menus, using its printed label when the browser knows the layout
+     * @param {string} code - KeyboardEvent.code of the key
+     * @returns {string} Key label
+     */
+    describeKey(code) {
+        return describeCode(code, this.keyLayout);
+    }
+    
+    /**
+     * Describe the keys bound to an action on both sides, e.g. 'D / ←'
+     * @param {string} action - Action (up, down, serve, pause)
+     * @returns {string} Key labels, each key listed once
+     */
+    describeAction(action) {
+        const codes = new Set([this.bindings.get('left', action), this.bindings.get('right', action)]);
+        return [...codes].map(code => this.describeKey(code)).join(' / ');
+    }
+    
+    /**
+     * Fill in the key bindings table and the key hints on the title screen
+     * @param {string} message - Status line under the table, e.g. a conflict that was resolved (optional)
+     */
+    updateControlsScreen(message = '') {
+        const controls = this.stateMachine.states.controls;
+        const table = document.getElementById('bindingsTable');
+        
+        if (table) {
+            table.textContent = '';
+            BINDING_ACTIONS.forEach(action => {
+                const label = document.createElement('span');
+                label.textContent = action[0].toUpperCase() + action.slice(1);
+                table.appendChild(label);
+                
+                ['left', 'right'].forEach(side => {
+                    const button = document.createElement('button');
+                    const waiting = controls.pending && controls.pending.side === side && controls.pending.action === action;
+                    button.className = 'control-button';
+                    button.textContent = waiting ? 'Press a key…' : this.describeKey(this.bindings.get(side, action));
+                    button.addEventListener('click', () => controls.listen(side, action));
+                    table.appendChild(button);
+                });
+            });
+        }
         
-        // Update appropriate key state based on inverted control setting
-        if (e.key.toLowerCase() === 'w') this.keys.w = false;
-        if (e.key.toLowerCase() === 's') this.keys.s = false;
-        if (e.key === 'ArrowUp') this.keys.ArrowUp = false;
-        if (e.key === 'ArrowDown') this.keys.ArrowDown = false;
+        const status = document.getElementById('bindingsStatus');
+        if (status) {
+            status.textContent = message;
+        }
         
-        // If controls are inverted, also release the opposite key
-        if (invertControls) {
-            if (e.key.toLowerCase() === 'w') this.keys.s = false;
-            if (e.key.toLowerCase() === 's') this.keys.w = false;
-            if (e.key === 'ArrowUp') this.keys.ArrowDown = false;
-            if (e.key === 'ArrowDown') this.keys.ArrowUp = false;
+        const hint = document.getElementById('titleHint');
+        if (hint) {
+            const moveKeys = side => `${this.describeKey(this.bindings.get(side, 'up'))}/${this.describeKey(this.bindings.get(side, 'down'))}`;
+            hint.textContent = `Enter or tap to start · ${moveKeys('left')} or ${moveKeys('right')} to jump in · ${this.describeAction('pause')} or Esc to pause`;
         }
     }
     
     /**
-     * Update the score display
-     * @param {string} side - Which side scored (left/right)
+     * Read every connected gamepad, picking up pads plugged in or out since the last frame
      */
-    updateScore(side) {
-        if (side === 'left') {
-            this.leftScore++;
-        } else if (side === 'right') {
-            this.rightScore++;
+    pollGamepads() {
+        if (!navigator.getGamepads) return;
+        
+        const connected = new Set();
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad || !gamepad.connected) continue;
+            connected.add(gamepad.index);
+            
+            const controller = this.gamepads.get(gamepad.index) || this.connectGamepad(gamepad.index);
+            const presses = controller.poll(gamepad);
+            
+            // Moving the stick or D-pad takes over the pad's paddle, like a movement key
+            if (controller.move !== 0) {
+                this.takeOverWithGamepad(controller);
+            }
+            presses.forEach(action => this.handleGamepadPress(controller, action));
         }
         
-        this.updateScoreDisplay();
+        for (const index of this.gamepads.keys()) {
+            if (!connected.has(index)) {
+                this.disconnectGamepad(index);
+            }
+        }
+    }
+    
+    /**
+     * Start tracking a newly connected gamepad
+     * @param {number} index - Gamepad index
+     * @returns {GamepadController} Controller for the pad
+     */
+    connectGamepad(index) {
+        if (this.gamepads.has(index)) return this.gamepads.get(index);
+        
+        // Give the pad the side with fewer pads on it, left first
+        const pads = [...this.gamepads.values()];
+        const leftPads = pads.filter(pad => pad.side === 'left').length;
+        const side = leftPads <= pads.length - leftPads ? 'left' : 'right';
+        
+        const controller = new GamepadController(index, side);
+        this.gamepads.set(index, controller);
+        this.updateGamepadList();
+        return controller;
+    }
+    
+    /**
+     * Stop tracking an unplugged gamepad, handing its paddle back and pausing a match in progress
+     * @param {number} index - Gamepad index
+     */
+    disconnectGamepad(index) {
+        const controller = this.gamepads.get(index);
+        if (!controller) return;
+        
+        this.gamepads.delete(index);
+        if (this.controllers[controller.side] === controller) {
+            this.setController(controller.side, this.getDefaultController(controller.side));
+            if (this.stateMachine.is('playing')) {
+                this.stateMachine.change('paused');
+            }
+        }
+        this.updateGamepadList();
+    }
+    
+    /**
+     * Let a gamepad play its paddle, starting a match from the title screen
+     * @param {GamepadController} controller - Gamepad being moved
+     */
+    takeOverWithGamepad(controller) {
+        if (this.stateMachine.is('title')) {
+            this.startMatch();
+        }
+        if (this.stateMachine.is('countdown') || this.stateMachine.is('playing')) {
+            this.setController(controller.side, controller);
+        }
+    }
+    
+    /**
+     * Handle a gamepad button press: A serves, Start pauses, Back switches paddles
+     * Outside of play A and Start act like a tap (start, resume, rematch)
+     * @param {GamepadController} controller - Gamepad the button belongs to
+     * @param {string} action - Button pressed (serve, swap, pause)
+     */
+    handleGamepadPress(controller, action) {
+        if (action === 'swap') {
+            this.assignGamepad(controller, controller.side === 'left' ? 'right' : 'left');
+        } else if (action === 'pause' && (this.stateMachine.is('playing') || this.stateMachine.is('paused'))) {
+            this.togglePause();
+        } else if (action === 'serve' && this.stateMachine.is('playing')) {
+            this.requestServe(controller.side);
+        } else {
+            this.stateMachine.current.handleTap();
+        }
+    }
+    
+    /**
+     * Move a gamepad to the other paddle; it takes over once it is moved
+     * @param {GamepadController} controller - Gamepad to reassign
+     * @param {string} side - New paddle side (left/right)
+     */
+    assignGamepad(controller, side) {
+        if (this.controllers[controller.side] === controller) {
+            this.setController(controller.side, this.getDefaultController(controller.side));
+        }
+        controller.side = side;
+        this.updateGamepadList();
+    }
+    
+    /**
+     * List the connected gamepads on the title screen, each with a button to switch its paddle
+     */
+    updateGamepadList() {
+        const list = document.getElementById('gamepadList');
+        if (!list) return;
+        
+        list.textContent = '';
+        list.classList.toggle('hidden', this.gamepads.size === 0);
+        this.gamepads.forEach(controller => {
+            const button = document.createElement('button');
+            button.className = 'control-button';
+            button.textContent = `${controller.name}: ${controller.side === 'left' ? 'Left' : 'Right'} ⇄`;
+            button.title = 'Switch paddle (Back / Select on the pad)';
+            button.addEventListener('click', () => {
+                this.assignGamepad(controller, controller.side === 'left' ? 'right' : 'left');
+            });
+            list.appendChild(button);
+        });
+    }
+    
+    /**
+     * Hand a paddle to a controller
+     * @param {string} side - Paddle side (left/right)
+     * @param {Controller} controller - Controller that moves the paddle from now on
+     */
+    setController(side, controller) {
+        if (this.controllers[side] === controller) return;
+        
+        this.controllers[side] = controller;
+        this.updatePlayerLabels();
+    }
+    
+    /**
+     * Get the controller a paddle goes back to when nobody is playing it
+     * @param {string} side - Paddle side (left/right)
+     * @returns {Controller} Loaded bot, or the built-in AI
+     */
+    getDefaultController(side) {
+        return this.bots[side] || this.aiController;
+    }
+    
+    /**
+     * Describe who plays a paddle, for the results and replay screens
+     * @param {string} side - Paddle side (left/right)
+     * @returns {string} 'PLAYER' for people, otherwise the controller's name
+     */
+    getPlayerTitle(side) {
+        const controller = this.controllers[side];
+        return controller.human ? 'PLAYER' : controller.name.toUpperCase();
+    }
+    
+    /**
+     * Collect paddle inputs for the next simulation step
+     * @returns {Object} Inputs for the left and right paddle (null means AI control)
+     */
+    getInputs() {
+        const inputs = getControllerInputs(this.simulation, this.controllers);
+        
+        // Serve presses only count once
+        for (const side of ['left', 'right']) {
+            if (inputs[side] && this.serveRequests[side]) {
+                inputs[side].serve = true;
+            }
+            this.serveRequests[side] = false;
+        }
+        
+        return inputs;
+    }
+    
+    /**
+     * Ask to serve a ball held on a paddle
+     * @param {string} side - Paddle side (left/right)
+     */
+    requestServe(side) {
+        const serve = this.simulation.serve;
+        
+        // Only a ball that is already being held can be served early
+        if (serve.holding && serve.side === side) {
+            this.serveRequests[side] = true;
+        }
+    }
+    
+    /**
+     * Handle the serve keys: each side's bound serve key (D and Left Arrow by default), or Space for either
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} Whether the key was a serve key
+     */
+    handleServeKeyDown(e) {
+        const sides = e.code === 'Space'
+            ? ['left', 'right']
+            : this.bindings.find(e.code).filter(binding => binding.action === 'serve').map(binding => binding.side);
+        if (sides.length === 0) return false;
+        
+        sides.forEach(side => this.requestServe(side));
+        e.preventDefault();
+        return true;
+    }
+    
+    /**
+     * React to events produced by the simulation
+     * @param {Array} events - Simulation events from the last step
+     */
+    handleSimulationEvents(events) {
+        for (const event of events) {
+            switch (event.type) {
+                case 'score':
+                    this.updateScoreDisplay();
+                    this.stateMachine.current.handleScore(event.side);
+                    break;
+                case 'setWon':
+                    this.updateMatchInfo();
+                    break;
+                case 'matchOver':
+                    this.stateMachine.current.handleMatchOver(event.winner);
+                    break;
+                case 'wallHit':
+                    // Wall collision occurred, increase shake
+                    this.shakeAmount += 1;
+                    break;
+                case 'paddleHit':
+                    // Increase shake and play paddle hit sound
+                    this.shakeAmount += 3;
+                    this.soundManager.playSound('paddle');
+                    break;
+                case 'ballHit':
+                    this.shakeAmount += 2;
+                    this.soundManager.playSound('ball');
+                    break;
+                case 'multiball':
+                    // Add screen shake effect when new ball appears
+                    this.shakeAmount = 8;
+                    break;
+                case 'multiballSpawn':
+                    this.shakeAmount = 5;
+                    break;
+                case 'chaosEventStart':
+                    this.showChaosBanner(event.banner);
+                    break;
+            }
+        }
     }
     
     /**
@@ -363,103 +768,479 @@ export class Game {
         const rightScoreElement = document.getElementById('rightScoreValue');
         
         if (leftScoreElement) {
-            leftScoreElement.textContent = this.leftScore;
+            leftScoreElement.textContent = this.simulation.leftScore;
         }
         
         if (rightScoreElement) {
-            rightScoreElement.textContent = this.rightScore;
+            rightScoreElement.textContent = this.simulation.rightScore;
         }
     }
     
     /**
-     * Update the player labels in the DOM
+     * Update the set, clock and sudden death info in the DOM
      */
-    updatePlayerLabels() {
-        const leftLabel = document.getElementById('leftLabel');
-        const rightLabel = document.getElementById('rightLabel');
+    updateMatchInfo() {
+        const rules = this.simulation.rules;
+        const parts = [];
         
-        if (leftLabel && rightLabel) {
-            leftLabel.textContent = this.leftPaddleAI ? "AI" : "Human";
-            rightLabel.textContent = this.rightPaddleAI ? "AI" : "Human";
+        // Set count for multi-set matches
+        if (rules.config.bestOf > 1) {
+            parts.push(`SET ${rules.currentSet} · ${rules.sets.left}-${rules.sets.right}`);
+        }
+        
+        // Remaining time or sudden death
+        if (rules.suddenDeath) {
+            parts.push('SUDDEN DEATH');
+        } else {
+            const remaining = rules.getTimeRemaining(this.simulation.time);
+            if (remaining !== null) {
+                const seconds = Math.ceil(remaining);
+                parts.push(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+            }
+        }
+        
+        // Only touch the DOM when the text changes
+        const text = parts.join(' · ');
+        if (text === this.matchInfoText) return;
+        this.matchInfoText = text;
+        
+        const matchInfoElement = document.getElementById('matchInfo');
+        if (matchInfoElement) {
+            matchInfoElement.textContent = text;
+            matchInfoElement.classList.toggle('hidden', text === '');
         }
     }
     
     /**
-     * Update warnings in the DOM
+     * Describe what currently makes one paddle different from the other
+     * @param {string} side - Paddle side (left/right)
+     * @returns {string[]} Labels for the giant vs tiny event, then size, width and speed changed by handicap or chaos
      */
-    updateWarnings() {
-        const warningElement = document.querySelector('.warning');
-        this.invertControlsWarningActive = this.params.invertControls;
-        
-        if (warningElement) {
-            if (this.invertControlsWarningActive) {
-                warningElement.classList.remove('hidden');
+    describeModifiers(side) {
+        const sim = this.simulation;
+        const labels = [];
+        
+        const scale = sim.params[`${side}MismatchScale`];
+        if (scale > 1) labels.push('GIANT');
+        if (scale < 1) labels.push('TINY');
+        
+        // Handicap and this side's chaos together, to the nearest 5% so drifting values don't flicker
+        const handicap = sim.handicaps[side];
+        [
+            ['SIZE', handicap.paddleSize * sim.params[`${side}PaddleSizeScale`]],
+            ['WIDTH', handicap.paddleWidth * sim.params[`${side}PaddleWidthScale`]],
+            ['SPEED', handicap.paddleSpeed * sim.params[`${side}PaddleSpeedScale`]]
+        ].forEach(([name, value]) => {
+            const percent = Math.round(value * 20) * 5;
+            if (percent !== 100) labels.push(`${name} ${percent}%`);
+        });
+        
+        return labels;
+    }
+    
+    /**
+     * Update the paddle modifiers shown under each player's score
+     */
+    updateModifiers() {
+        ['left', 'right'].forEach(side => {
+            // Only touch the DOM when the text changes
+            const text = this.describeModifiers(side).join(' · ');
+            if (text === this.modifierTexts[side]) return;
+            this.modifierTexts[side] = text;
+            
+            const element = document.getElementById(`${side}Modifiers`);
+            if (element) {
+                element.textContent = text;
+            }
+        });
+    }
+    
+    /**
+     * Show the game over screen
+     * @param {string|null} winner - Winning side, or null for a draw
+     */
+    showGameOver(winner) {
+        const gameOverElement = document.getElementById('gameOver');
+        const winnerElement = document.getElementById('winnerText');
+        const finalScoreElement = document.getElementById('finalScore');
+        const rules = this.simulation.rules;
+        
+        if (winnerElement) {
+            if (winner) {
+                winnerElement.textContent = `${winner.toUpperCase()} ${this.getPlayerTitle(winner)} WINS!`;
             } else {
-                warningElement.classList.add('hidden');
+                winnerElement.textContent = 'DRAW!';
             }
         }
+        
+        if (finalScoreElement) {
+            // Show sets for multi-set matches, points otherwise
+            finalScoreElement.textContent = rules.config.bestOf > 1
+                ? `Sets ${rules.sets.left} : ${rules.sets.right}`
+                : `${rules.points.left} : ${rules.points.right}`;
+        }
+        
+        if (gameOverElement) {
+            gameOverElement.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Hide the game over screen
+     */
+    hideGameOver() {
+        const gameOverElement = document.getElementById('gameOver');
+        if (gameOverElement) {
+            gameOverElement.classList.add('hidden');
+        }
     }
     
     /**
-     * Create a new multiball
-     * @param {Ball} sourceBall - Source ball for new ball
+     * Start a new match with the same players, beginning with a countdown
      */
-    createMultiball(sourceBall) {
-        // Prevent adding balls if we already have the maximum
-        if (this.balls.length >= this.maxBalls) return;
+    startMatch() {
+        // reset() hands both paddles back to the AI, so remember who was playing
+        const controllers = { ...this.controllers };
+        
+        this.reset(this.getMenuSeed());
         
-        // Check if multiball feature is even enabled
-        if (!this.params.multiball) return;
+        this.controllers = controllers;
+        Object.values(controllers).forEach(controller => controller.reset());
+        this.updatePlayerLabels();
+        
+        // Record every tick from the first serve
+        this.recorder.start(this.simulation.seed, this.simulation.getConfig(), this.timestep);
         
-        // Check if enough time has passed since last multiball creation
-        const currentTime = performance.now();
-        if (!this.lastMultiballTime) {
-            this.lastMultiballTime = 0;
+        this.stateMachine.change('countdown');
+    }
+    
+    /**
+     * Stop recording the current match and keep it as the last recording
+     */
+    stopRecording() {
+        const recording = this.recorder.stop({ left: this.controllers.left.name, right: this.controllers.right.name });
+        if (recording && recording.ticks > 0) {
+            this.lastRecording = recording;
+        }
+    }
+    
+    /**
+     * Watch the last recorded match
+     */
+    watchReplay() {
+        if (this.lastRecording) {
+            this.stateMachine.change('replay', { recording: this.lastRecording });
+        }
+    }
+    
+    /**
+     * Download a recording as a JSON file
+     * @param {Object|null} recording - Recording to save
+     */
+    exportRecording(recording) {
+        if (!recording) return;
+        
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pong-replay-${recording.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load a recording from a JSON file and play it
+     * @param {File} file - Replay file chosen by the player
+     */
+    async importRecording(file) {
+        try {
+            const recording = parseRecording(await file.text());
+            this.showMenuError(null);
+            this.stateMachine.change('replay', { recording });
+        } catch (error) {
+            this.showMenuError(error.message);
+        }
+    }
+    
+    /**
+     * Fill the chaos profile menu on the title screen
+     * @param {string} selectedId - Profile to select (defaults to the one selected now)
+     */
+    updateProfileSelect(selectedId = null) {
+        const select = document.getElementById('chaosProfileSelect');
+        if (!select) return;
+        
+        const selected = selectedId || select.value;
+        select.textContent = '';
+        this.chaosProfiles.list().forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        if (this.chaosProfiles.get(selected)) {
+            select.value = selected;
         }
+    }
+    
+    /**
+     * Import a chaos profile from a file and select it
+     * @param {File} file - Profile JSON chosen by the player
+     */
+    async importProfile(file) {
+        try {
+            const id = this.chaosProfiles.add(parseChaosProfile(await file.text()));
+            this.showMenuError(null);
+            this.updateProfileSelect(id);
+            this.applyMenuRules();
+        } catch (error) {
+            this.showMenuError(error.message);
+        }
+    }
+    
+    /**
+     * Download the selected chaos profile as JSON, with every setting spelled out
+     */
+    exportProfile() {
+        const select = document.getElementById('chaosProfileSelect');
+        const profile = select && this.chaosProfiles.get(select.value);
+        if (!profile) return;
+        
+        const complete = validateChaosProfile(profile);
+        const blob = new Blob([JSON.stringify(complete, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pong-chaos-${complete.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Load a bot for a paddle, or unload the one it has
+     * @param {string} side - Paddle side (left/right)
+     */
+    toggleBot(side) {
+        if (this.bots[side]) {
+            this.bots[side] = null;
+            this.setController(side, this.getDefaultController(side));
+            this.updateBotButtons();
+        } else {
+            document.getElementById(`${side}BotInput`).click();
+        }
+    }
+    
+    /**
+     * Load a bot script from a file and let it play a paddle
+     * @param {string} side - Paddle side (left/right)
+     * @param {File} file - Bot module chosen by the player
+     */
+    async importBot(side, file) {
+        try {
+            const bot = await loadBotSource(await file.text(), file.name.replace(/\.m?js$/, ''));
+            this.showMenuError(null);
+            this.bots[side] = bot;
+            this.setController(side, bot);
+            this.updateBotButtons();
+        } catch (error) {
+            this.showMenuError(`Bot error: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Show which paddles have a bot on the title screen buttons
+     */
+    updateBotButtons() {
+        ['left', 'right'].forEach(side => {
+            const button = document.getElementById(`${side}BotButton`);
+            if (button) {
+                const label = side === 'left' ? 'Left' : 'Right';
+                button.textContent = this.bots[side] ? `Unload ${this.bots[side].name}` : `${label} Bot`;
+            }
+        });
+    }
+    
+    /**
+     * Show or hide the error line on the title screen
+     * @param {string|null} message - Error to show, or null to hide it
+     */
+    showMenuError(message) {
+        const errorElement = document.getElementById('replayError');
+        if (!errorElement) return;
         
-        // Enforce a minimum delay of 500ms between multiballs
-        if (currentTime - this.lastMultiballTime < 500) {
-            return;
+        if (message) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+        } else {
+            errorElement.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Get the seed typed on the title screen
+     * @returns {number} Seed from the menu, or a fresh random seed when the field is empty
+     */
+    getMenuSeed() {
+        const seedInput = document.getElementById('seedInput');
+        if (seedInput && seedInput.value.trim() !== '') {
+            return parseSeed(seedInput.value);
         }
+        return randomSeed();
+    }
+    
+    /**
+     * Show the current match seed in the DOM
+     */
+    updateSeedDisplay() {
+        const seedElement = document.getElementById('seedValue');
+        if (seedElement) {
+            seedElement.textContent = `SEED ${this.simulation.seed}`;
+        }
+    }
+    
+    /**
+     * Pause or resume play
+     */
+    togglePause() {
+        if (this.stateMachine.is('playing')) {
+            this.stateMachine.change('paused');
+        } else if (this.stateMachine.is('paused')) {
+            this.stateMachine.change('playing');
+        }
+    }
+    
+    /**
+     * Read the match rules chosen on the title screen
+     */
+    applyMenuRules() {
+        const readNumber = (id, fallback) => {
+            const select = document.getElementById(id);
+            return select ? Number(select.value) : fallback;
+        };
+        const rules = this.simulation.rules;
+        
+        rules.configure({
+            pointsToWin: readNumber('pointsSelect', rules.config.pointsToWin),
+            bestOf: readNumber('setsSelect', rules.config.bestOf),
+            timeLimit: readNumber('timeLimitSelect', rules.config.timeLimit)
+        });
+        
+        // Serve settings
+        const serveRuleSelect = document.getElementById('serveRuleSelect');
+        const holdServeSelect = document.getElementById('holdServeSelect');
+        this.simulation.configure({
+            serve: {
+                rule: serveRuleSelect ? serveRuleSelect.value : this.simulation.serve.config.rule,
+                holdToServe: holdServeSelect ? holdServeSelect.value === 'on' : this.simulation.serve.config.holdToServe
+            }
+        });
         
-        // Create a new ball with random velocity based on source ball
-        const newBall = new Ball(
-            this.canvas, 
-            this.ctx, 
-            {...this.params},
-            this.updateScore.bind(this),
-            {
-                x: sourceBall.x,
-                y: sourceBall.y,
-                dx: -sourceBall.dx * (0.8 + Math.random() * 0.4), // Slightly randomize speed
-                dy: sourceBall.dy * (Math.random() < 0.5 ? 1 : -1) * (0.8 + Math.random() * 0.4)
-            },
-            this.soundManager // Pass the sound manager
-        );
+        // AI difficulty for both paddles
+        const aiLevelSelect = document.getElementById('aiLevelSelect');
+        if (aiLevelSelect) {
+            this.simulation.configure({ ai: { left: aiLevelSelect.value, right: aiLevelSelect.value } });
+        }
         
-        this.balls.push(newBall);
-        this.lastMultiballTime = currentTime;
+        // Ball speed ramp and cap
+        const speedRampSelect = document.getElementById('speedRampSelect');
+        const speed = this.simulation.speed.config;
+        this.simulation.configure({
+            speed: {
+                ramp: speedRampSelect ? speedRampSelect.value : speed.ramp,
+                maxSpeed: readNumber('maxSpeedSelect', speed.maxSpeed)
+            }
+        });
+        
+        // Handicap for each paddle
+        const handicaps = {};
+        ['left', 'right'].forEach(side => {
+            const select = document.getElementById(`${side}HandicapSelect`);
+            if (select && HANDICAPS[select.value]) {
+                handicaps[side] = HANDICAPS[select.value];
+            }
+        });
+        this.simulation.configure({ handicaps });
+        
+        // Chaos level, escalation and profile
+        const chaosLevelSelect = document.getElementById('chaosLevelSelect');
+        const escalationSelect = document.getElementById('escalationSelect');
+        const chaosProfileSelect = document.getElementById('chaosProfileSelect');
+        const chaos = this.simulation.chaosController.config;
+        this.simulation.configure({
+            chaos: {
+                level: chaosLevelSelect ? chaosLevelSelect.value : chaos.level,
+                escalation: escalationSelect ? escalationSelect.value : chaos.escalation,
+                profile: chaosProfileSelect ? this.chaosProfiles.get(chaosProfileSelect.value) : chaos.profile
+            }
+        });
         
-        // Add screen shake effect when new ball appears
-        this.shakeAmount = 8;
+        // Restart the attract match so the HUD reflects the new rules
+        this.reset();
+    }
+    
+    /**
+     * Update the player labels in the DOM
+     * @param {Object} names - Label per side ({ left, right }); defaults to the controllers' names
+     */
+    updatePlayerLabels(names = { left: this.controllers.left.name, right: this.controllers.right.name }) {
+        const leftLabel = document.getElementById('leftLabel');
+        const rightLabel = document.getElementById('rightLabel');
+        
+        if (leftLabel && rightLabel) {
+            leftLabel.textContent = names.left;
+            rightLabel.textContent = names.right;
+        }
+    }
+    
+    /**
+     * Update warnings in the DOM
+     */
+    updateWarnings() {
+        // Each control effect has its own warning, tagged with the effect's parameter name
+        const params = this.simulation.params;
+        document.querySelectorAll('.warning[data-effect]').forEach(warningElement => {
+            warningElement.classList.toggle('hidden', !params[warningElement.dataset.effect]);
+        });
+    }
+    
+    /**
+     * Announce a chaos event with a banner across the field
+     * @param {string} text - Banner text
+     */
+    showChaosBanner(text) {
+        const banner = document.getElementById('chaosBanner');
+        banner.textContent = text;
+        banner.classList.remove('hidden');
+        this.bannerTimeLeft = this.bannerDuration;
+    }
+    
+    /**
+     * Count down the chaos event banner, hiding it once its time is up
+     * @param {number} dt - Time passed in seconds
+     */
+    updateChaosBanner(dt) {
+        this.bannerTimeLeft = Math.max(0, this.bannerTimeLeft - dt);
+        document.getElementById('chaosBanner').classList.toggle('hidden', this.bannerTimeLeft <= 0);
     }
     
     /**
      * Draw gravity indicator with neon glow effect
+     * @param {Object} scene - Simulation (or instant replay frame) being drawn
      */
-    drawGravityIndicator() {
-        const field = getFieldOffset(this.canvas, this.params);
+    drawGravityIndicator(scene) {
+        const field = getFieldOffset(scene.bounds, scene.params);
         
         // Calculate center of the field
         const centerX = field.x + field.width / 2;
         const centerY = field.y + field.height / 2;
         
-        // Increase scale factor for more visible gravity
-        const scaleFactor = 2000;
+        // Scale gravity (pixels per second squared) to a visible arrow length
+        const scaleFactor = 0.55;
         
         // Calculate end point of the arrow
-        let endX = centerX + this.params.ballGravityX * scaleFactor;
-        let endY = centerY + this.params.ballGravityY * scaleFactor;
+        let endX = centerX + scene.params.ballGravityX * scaleFactor;
+        let endY = centerY + scene.params.ballGravityY * scaleFactor;
         
         // Limit length of arrow to half of the field height for visibility
         const maxArrowLength = field.height / 2;
@@ -474,7 +1255,7 @@ export class Game {
         this.ctx.save();
         
         // Add glow effect
-        if (this.params.useNeonEffects) {
+        if (scene.params.useNeonEffects) {
             this.ctx.shadowBlur = 15;
             this.ctx.shadowColor = '#ffff00';
         }
@@ -513,16 +1294,96 @@ export class Game {
         this.ctx.restore();
     }
     
+    /**
+     * Draw each AI paddle's plan: where incoming balls will cross its paddle line and when,
+     * the balls it expects to save (green), the ones it will let go (red) and its current target (yellow)
+     * Drawn outside the mirror world flip, so the labels stay readable
+     */
+    drawAIDebug() {
+        const ctx = this.ctx;
+        
+        ctx.save();
+        ctx.font = "12px 'Orbitron', sans-serif";
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 1;
+        
+        for (const side of ['left', 'right']) {
+            const ai = this.simulation.ai[side];
+            
+            // Labels point into the field from whichever side the paddle is drawn on
+            const drawnLeft = (side === 'left') !== Boolean(this.simulation.params.mirrorField);
+            ctx.textAlign = drawnLeft ? 'left' : 'right';
+            
+            for (const threat of ai.threats) {
+                const isTarget = threat === ai.target;
+                const color = isTarget ? '#ffff00' : ai.saves.includes(threat) ? '#00ff88' : '#ff3366';
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                
+                // Straight line from the ball to its predicted crossing (the real path may bounce)
+                ctx.setLineDash([4, 4]);
+                const x = this.toScreenX(threat.x);
+                ctx.beginPath();
+                ctx.moveTo(this.toScreenX(threat.ball.x), threat.ball.y);
+                ctx.lineTo(x, threat.y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                
+                // Crossing point and time to arrival
+                ctx.beginPath();
+                ctx.arc(x, threat.y, isTarget ? 8 : 5, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.fillText(`${threat.time.toFixed(2)}s`, x + (drawnLeft ? 12 : -12), threat.y);
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the serve countdown on the server's half, or a prompt while a player holds the ball
+     */
+    drawServeCountdown() {
+        const sim = this.simulation;
+        const serve = sim.serve;
+        if (!serve.isActive()) return;
+        
+        const field = getFieldOffset(sim.bounds, sim.params);
+        const x = this.toScreenX(field.x + field.width * (serve.side === 'left' ? 0.25 : 0.75));
+        const y = field.y + field.height / 2;
+        
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        if (sim.params.useNeonEffects) {
+            this.ctx.shadowColor = '#00ffff';
+            this.ctx.shadowBlur = 15;
+        }
+        
+        if (serve.holding) {
+            const key = this.describeKey(this.bindings.get(serve.side, 'serve'));
+            this.ctx.font = "700 20px 'Orbitron', sans-serif";
+            this.ctx.fillText(`SERVE: ${key} / SPACE / TAP`, x, y);
+        } else {
+            this.ctx.font = "900 64px 'Orbitron', sans-serif";
+            this.ctx.fillText(String(Math.ceil(serve.timeLeft)), x, y);
+        }
+        
+        this.ctx.restore();
+    }
+    
     /**
      * Draw the field with neon effects
+     * @param {Object} scene - Simulation (or instant replay frame) being drawn
      */
-    drawField() {
-        const field = getFieldOffset(this.canvas, this.params);
+    drawField(scene) {
+        const field = getFieldOffset(scene.bounds, scene.params);
         
         this.ctx.save();
         
         // Add glow effect for border
-        if (this.params.useNeonEffects) {
+        if (scene.params.useNeonEffects) {
             this.ctx.shadowBlur = 15;
             this.ctx.shadowColor = '#00ffff';
         }
@@ -551,13 +1412,13 @@ export class Game {
         // Draw center line dashed with glow
         this.ctx.beginPath();
         this.ctx.setLineDash([10, 15]);
-        this.ctx.moveTo(this.canvas.width / 2, field.y);
-        this.ctx.lineTo(this.canvas.width / 2, field.y + field.height);
+        this.ctx.moveTo(scene.bounds.width / 2, field.y);
+        this.ctx.lineTo(scene.bounds.width / 2, field.y + field.height);
         this.ctx.stroke();
         this.ctx.setLineDash([]);
         
         // Optional grid pattern
-        if (this.params.useNeonEffects) {
+        if (scene.params.useNeonEffects) {
             this.drawGridOverlay(field.x, field.y, field.width, field.height);
         }
         
@@ -597,34 +1458,108 @@ export class Game {
     }
     
     /**
-     * Main game loop
+     * Main game loop - runs the simulation at a fixed timestep and renders once per frame
      * @param {number} timestamp - Current timestamp
      */
     gameLoop(timestamp) {
+        // Measure real time elapsed since the previous frame
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = timestamp;
+        }
+        const frameTime = Math.min((timestamp - this.lastFrameTime) / 1000, this.maxFrameTime);
+        this.lastFrameTime = timestamp;
+        
+        // Gamepads have no input events, so read them once per frame
+        this.pollGamepads();
+        
+        // Advance the simulation in fixed steps, carrying the remainder to the next frame
+        this.accumulator += frameTime;
+        while (this.accumulator >= this.timestep) {
+            this.stateMachine.current.update(this.timestep);
+            this.accumulator -= this.timestep;
+        }
+        
+        // Render between the last two simulation states
+        this.render(this.stateMachine.current.getRenderAlpha(this.accumulator / this.timestep));
+        
+        // Request next frame
+        requestAnimationFrame(this.gameLoop.bind(this));
+    }
+    
+    /**
+     * Advance the simulation by one fixed step (called by the active game state)
+     * @param {number} dt - Step duration in seconds
+     */
+    update(dt) {
+        if (!this.gameActive) return;
+        
+        // Step the simulation with the current paddle inputs, recording them for replays
+        const inputs = this.getInputs();
+        this.recorder.record(inputs);
+        this.processStep(this.simulation.step(dt, inputs), dt);
+        
+        // Capture after the events, so a point's instant replay ends just before the ball resets
+        this.instantReplay.capture(this.simulation);
+    }
+    
+    /**
+     * React to a finished simulation step (shared by live play and replays)
+     * @param {Array} events - Events from the step
+     * @param {number} dt - Step duration in seconds
+     */
+    processStep(events, dt) {
+        this.handleSimulationEvents(events);
+        
+        // Decay screen shake over time
+        this.shakeAmount *= Math.pow(this.shakeDecay, dt);
+        if (this.shakeAmount < 0.1) this.shakeAmount = 0;
+        
+        // Update warnings for chaos control effects, and the chaos event banner
+        this.updateWarnings();
+        this.updateChaosBanner(dt);
+        
+        // Update which paddle chaos and handicaps favour
+        this.updateModifiers();
+        
+        // Update set and clock display
+        this.updateMatchInfo();
+    }
+    
+    /**
+     * Render the current game state
+     * @param {number} alpha - Interpolation factor between the previous and current tick (0-1)
+     */
+    render(alpha) {
+        // Draw the live simulation unless the state shows something else (instant replay)
+        const sim = this.stateMachine.current.getScene() || this.simulation;
+        const params = sim.params;
+        
         // Clear the canvas with background color
-        this.ctx.fillStyle = this.params.backgroundColor;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.fillStyle = params.backgroundColor;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
+        // Draw everything in world units from here on
+        this.ctx.setTransform(this.renderScale, 0, 0, this.renderScale, 0, 0);
+        
         // Calculate field boundaries ONCE at the beginning of the frame
         // and use these consistently throughout the entire frame
-        const field = getFieldOffset(this.canvas, this.params);
+        const field = getFieldOffset(sim.bounds, params);
         
         // Apply screen shake if active
         let screenOffsetX = 0;
         let screenOffsetY = 0;
         
-        if (this.params.screenShake && this.shakeAmount > 0) {
+        if (params.screenShake && this.shakeAmount > 0) {
             // More visible screen shake
             screenOffsetX = (Math.random() - 0.5) * this.shakeAmount * 10; 
             screenOffsetY = (Math.random() - 0.5) * this.shakeAmount * 10;
-            
-            // Decrease shake amount more slowly for longer effect
-            this.shakeAmount *= 0.92;
-            if (this.shakeAmount < 0.1) this.shakeAmount = 0;
         }
         
+        // Shake is cosmetic only, so it doesn't need the simulation's seeded generator
+        
         // Add small continuous shake regardless of collisions
-        if (this.params.screenShake) {
+        if (params.screenShake) {
             screenOffsetX += (Math.random() - 0.5) * 2;
             screenOffsetY += (Math.random() - 0.5) * 2;
         }
@@ -633,251 +1568,86 @@ export class Game {
         // Apply screen shake offset
         this.ctx.translate(screenOffsetX, screenOffsetY);
         
-        // Draw game field background
-        this.ctx.fillStyle = this.params.backgroundColor;
-        this.ctx.fillRect(field.x, field.y, field.width, field.height);
+        // Mirror world: flip the whole field left to right
+        this.ctx.save();
+        if (params.mirrorField) {
+            this.ctx.translate(sim.bounds.width, 0);
+            this.ctx.scale(-1, 1);
+        }
         
-        // Draw border
-        this.ctx.strokeStyle = this.params.fieldBorderColor;
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(field.x, field.y, field.width, field.height);
+        // Draw game field background (pitch black during a blackout)
+        this.ctx.fillStyle = params.blackout ? '#000000' : params.backgroundColor;
+        this.ctx.fillRect(field.x, field.y, field.width, field.height);
         
-        if (this.gameActive) {
-            // Update parameters with chaos
-            this.params = this.chaosController.update(timestamp, this.gameActive);
-            
-            // Update warnings for inverted controls
-            this.updateWarnings();
-            
-            // Update paddle dimensions to reflect chaos changes
-            this.paddleLeft.updateDimensions();
-            this.paddleRight.updateDimensions();
-            
-            // Update paddle positions based on current field dimensions
-            this.paddleLeft.x = field.x + 10;
-            this.paddleRight.x = field.x + field.width - 10 - this.paddleRight.width;
+        // During a blackout only the balls glow
+        if (!params.blackout) {
+            // Draw border
+            this.ctx.strokeStyle = params.fieldBorderColor;
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(field.x, field.y, field.width, field.height);
             
-            // Ensure paddles stay within vertical field boundaries
-            this.paddleLeft.y = Math.max(field.y, Math.min(field.y + field.height - this.paddleLeft.height, this.paddleLeft.y));
-            this.paddleRight.y = Math.max(field.y, Math.min(field.y + field.height - this.paddleRight.height, this.paddleRight.y));
+            // Draw gravity indicator
+            this.drawGravityIndicator(sim);
             
-            // Update left paddle (player or AI)
-            if (!this.leftPaddleAI) {
-                this.paddleLeft.update(this.keys, this.canvas, this.params);
-            } else {
-                const targetBall = this.findClosestBall(this.paddleLeft);
-                this.paddleLeft.updateAI(targetBall.y, this.canvas, this.params);
-            }
+            // Draw field
+            this.drawField(sim);
             
-            // Update right paddle (player or AI)
-            if (!this.rightPaddleAI) {
-                this.paddleRight.update(this.keys, this.canvas, this.params);
-            } else {
-                const targetBall = this.findClosestBall(this.paddleRight);
-                this.paddleRight.updateAI(targetBall.y, this.canvas, this.params);
-            }
-            
-            // Update all balls - pass timestamp for reset delay
-            for (let i = 0; i < this.balls.length; i++) {
-                // Ensure each ball has the latest parameters
-                // This is crucial for colors and other visual effects
-                this.balls[i].gameParams = {...this.params};
-                
-                // Update ball size
-                this.balls[i].updateSize();
-                
-                // Update ball position and get updated shake amount
-                this.shakeAmount = this.balls[i].update(
-                    timestamp, 
-                    this.paddleLeft, 
-                    this.paddleRight, 
-                    this.shakeAmount,
-                    this.createMultiball.bind(this)
-                );
-            }
-            
-            // Remove any balls that need to be removed
-            this.balls = this.balls.filter(ball => !ball.needsRemoval);
-            
-            // Add a new ball if all balls are gone
-            if (this.balls.length === 0) {
-                const newBall = new Ball(
-                    this.canvas, 
-                    this.ctx, 
-                    {...this.params}, // Pass a deep copy to ensure color is captured properly
-                    this.updateScore.bind(this),
-                    {}, // No custom options
-                    this.soundManager // Pass the sound manager
-                );
-                this.balls.push(newBall);
-            }
-            
-            // Handle multiball feature when it first activates
-            if (this.params.multiball && !this.multiballActive && this.balls.length < this.maxBalls) {
-                // Mark that we've activated multiball mode
-                this.multiballActive = true;
-                
-                // Create all 5 balls in a row with a slight delay between each
-                this.createMultiballSequence();
-            } else if (!this.params.multiball) {
-                // Reset multiball active flag when multiball is off
-                this.multiballActive = false;
-                
-                // If multiball is off and we have more than 1 ball, flag extra balls for removal when scored
-                for (let i = 0; i < this.balls.length; i++) {
-                    if (i > 0) { // Keep the first ball
-                        this.balls[i].shouldRespawn = false;
-                    }
-                }
-            }
+            // Draw paddles
+            sim.paddleLeft.draw(this.ctx, alpha);
+            sim.paddleRight.draw(this.ctx, alpha);
         }
         
-        // Draw gravity indicator
-        this.drawGravityIndicator();
-        
-        // Draw field
-        this.drawField();
-        
-        // Draw paddles
-        this.paddleLeft.draw(this.ctx);
-        this.paddleRight.draw(this.ctx);
-        
         // Draw all balls
-        for (let i = 0; i < this.balls.length; i++) {
-            this.balls[i].draw();
+        for (let i = 0; i < sim.balls.length; i++) {
+            sim.balls[i].draw(this.ctx, alpha);
         }
-        
-        // Reset translation for screen shake
         this.ctx.restore();
         
-        // Request next frame
-        requestAnimationFrame(this.gameLoop.bind(this));
-    }
-    
-    /**
-     * Find the closest ball to a paddle
-     * @param {Paddle} paddle - The paddle to find the closest ball to
-     * @returns {Ball} The closest ball
-     */
-    findClosestBall(paddle) {
-        if (this.balls.length === 0) {
-            // Return a dummy ball at the center if no balls exist
-            return { 
-                x: this.canvas.width / 2, 
-                y: this.canvas.height / 2 
-            };
-        }
-        
-        // Find ball closest to paddle that's moving toward it
-        let closestBall = this.balls[0];
-        let closestDistance = Infinity;
-        
-        for (let ball of this.balls) {
-            // Check if the ball is moving toward the paddle
-            const isMovingTowardLeftPaddle = ball.dx < 0 && paddle.isLeft;
-            const isMovingTowardRightPaddle = ball.dx > 0 && !paddle.isLeft;
-            
-            if (isMovingTowardLeftPaddle || isMovingTowardRightPaddle) {
-                const distance = Math.abs(ball.y - (paddle.y + paddle.height / 2));
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestBall = ball;
-                }
+        // Serve countdown and AI plans, unflipped so their text reads normally (only for the live simulation, not instant replays)
+        if (sim === this.simulation) {
+            this.drawServeCountdown();
+            if (this.showAIDebug) {
+                this.drawAIDebug();
             }
         }
         
-        // If no ball is moving toward paddle, pick the closest one
-        if (closestDistance === Infinity) {
-            for (let ball of this.balls) {
-                const distance = Math.abs(ball.y - (paddle.y + paddle.height / 2));
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestBall = ball;
-                }
-            }
-        }
+        // Reset translation for screen shake
+        this.ctx.restore();
         
-        return closestBall;
+        // Draw overlays for the current game state (countdown, pause)
+        this.stateMachine.current.render(this.ctx);
     }
     
     /**
      * Reset the game
+     * @param {number} seed - Random seed for the new match (a fresh seed is picked when omitted)
      */
-    reset() {
+    reset(seed = randomSeed()) {
         // Reset game state
         this.gameActive = true;
-        this.leftScore = 0;
-        this.rightScore = 0;
-        this.leftPaddleAI = true;
-        this.rightPaddleAI = true;
-        this.leftManualControl = false;
-        
-        // Reset chaos controller
-        this.chaosController.reset();
+        this.controllers = { left: this.getDefaultController('left'), right: this.getDefaultController('right') };
+        this.controllers.left.reset();
+        this.controllers.right.reset();
         
-        // Reset parameters
-        this.params = { ...this.defaultParams };
-        this.targetParams = { ...this.defaultParams };
+        // Reset the simulation (scores, chaos, paddles and balls)
+        this.simulation.reset(seed);
+        this.instantReplay.clear();
         
-        // Reset shake amount
+        // Reset shake amount and pending simulation time
         this.shakeAmount = 0;
-        
-        // Clear balls
-        this.balls = [];
-        
-        // Recreate game objects
-        this.createGameObjects();
+        this.accumulator = 0;
+        this.serveRequests = { left: false, right: false };
+        this.bannerTimeLeft = 0;
         
         // Update UI
+        this.hideGameOver();
         this.updateScoreDisplay();
+        this.updateMatchInfo();
+        this.updateSeedDisplay();
         this.updatePlayerLabels();
         this.updateWarnings();
-    }
-    
-    /**
-     * Create a sequence of multiple balls for multiball mode
-     */
-    createMultiballSequence() {
-        // Cancel any existing sequence
-        if (this.multiballInterval) {
-            clearInterval(this.multiballInterval);
-        }
-        
-        let ballsToCreate = this.maxBalls - this.balls.length;
-        let ballsCreated = 0;
-        
-        // Create a new ball every 300ms
-        this.multiballInterval = setInterval(() => {
-            if (ballsCreated >= ballsToCreate || !this.params.multiball || this.balls.length >= this.maxBalls) {
-                clearInterval(this.multiballInterval);
-                this.multiballInterval = null;
-                return;
-            }
-            
-            // Create a new ball from the center with random angle
-            const field = getFieldOffset(this.canvas, this.params);
-            const angle = Math.random() * Math.PI * 2; // Random direction in 360 degrees
-            
-            const newBall = new Ball(
-                this.canvas, 
-                this.ctx, 
-                {...this.params},
-                this.updateScore.bind(this),
-                {
-                    x: field.x + field.width / 2,
-                    y: field.y + field.height / 2,
-                    dx: Math.cos(angle) * this.params.ballSpeed,
-                    dy: Math.sin(angle) * this.params.ballSpeed
-                },
-                this.soundManager // Pass the sound manager
-            );
-            
-            this.balls.push(newBall);
-            ballsCreated++;
-            
-            // Add screen shake effect when new ball appears
-            this.shakeAmount = 5;
-        }, 300);
+        this.updateChaosBanner(0);
+        this.updateModifiers();
     }
     
     /**
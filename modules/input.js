@@ -0,0 +1,112 @@
+// Paddle input for Crazy Pong game
+// Turns a controller's intent into paddle movement, applying the control effects that chaos switches on.
+// Effects are applied when the simulation reads the intent, so they always match the current chaos state,
+// and replays (which record the raw intents) play them back exactly.
+import { frameBlend } from './utils.js';
+
+// Game parameters for the control effects chaos can switch on; the built-in AI is immune to all of them
+export const CONTROL_EFFECTS = ['invertControls', 'inputLag', 'slipperyPaddles', 'stickyPaddles'];
+
+// Strength of the control effects
+export const CONTROL_EFFECT_SETTINGS = {
+    lagTime: 0.25, // Seconds between an input and the paddle reacting to it (inputLag)
+    slipperyGrip: 0.04, // Per-frame blend of the paddle's speed toward the input; lower glides further (slipperyPaddles)
+    stickyTime: 0.3 // Seconds a paddle has to be pushed before it breaks loose (stickyPaddles)
+};
+
+// Movement smaller than this counts as standing still for sticky paddles
+const REST_THRESHOLD = 0.01;
+
+/**
+ * PaddleInput class - reads one paddle's intents with the current control effects applied
+ */
+export class PaddleInput {
+    constructor() {
+        this.reset();
+    }
+    
+    /**
+     * Forget delayed intents and momentum
+     */
+    reset() {
+        this.time = 0; // Seconds of controlled play, for the lag queue
+        this.history = []; // Recent intents as { time, intent }, oldest first
+        this.velocity = 0; // Movement carried over between steps on slippery paddles
+        this.pushTime = 0; // Seconds the paddle has been pushed without a break
+    }
+    
+    /**
+     * Check whether the paddle has any input state to forget
+     * @returns {boolean} Whether an intent has been read since the last reset
+     */
+    isActive() {
+        return this.history.length > 0;
+    }
+    
+    /**
+     * Turn this step's intent into paddle movement
+     * @param {Object} intent - Controller intent ({ move } or { targetY })
+     * @param {Paddle} paddle - Paddle being moved
+     * @param {Object} field - Field rectangle ({ x, y, width, height })
+     * @param {Object} params - Current game parameters
+     * @param {number} dt - Step duration in seconds
+     * @returns {number} Movement from -1 (up) to 1 (down)
+     */
+    read(intent, paddle, field, params, dt) {
+        // Input lag: act on the intent from lagTime ago, standing still until there is one
+        this.time += dt;
+        this.history.push({ time: this.time, intent });
+        const lag = params.inputLag ? CONTROL_EFFECT_SETTINGS.lagTime : 0;
+        const cutoff = this.time - lag + 1e-9; // Allow for rounding in the summed step times
+        while (this.history.length > 1 && this.history[1].time <= cutoff) {
+            this.history.shift();
+        }
+        const delayed = this.history[0].time <= cutoff ? this.history[0].intent : null;
+        
+        let move = delayed ? this.getMove(delayed, paddle, field, params, dt) : 0;
+        
+        // Sticky paddles don't budge until they have been pushed for a while
+        if (params.stickyPaddles) {
+            this.pushTime = Math.abs(move) > REST_THRESHOLD ? this.pushTime + dt : 0;
+            if (this.pushTime < CONTROL_EFFECT_SETTINGS.stickyTime) {
+                move = 0;
+            }
+        } else {
+            this.pushTime = 0;
+        }
+        
+        // Slippery paddles only gradually pick up and lose speed
+        if (params.slipperyPaddles) {
+            this.velocity += (move - this.velocity) * frameBlend(CONTROL_EFFECT_SETTINGS.slipperyGrip, dt);
+            move = this.velocity;
+        } else {
+            this.velocity = move;
+        }
+        
+        return move;
+    }
+    
+    /**
+     * Turn an intent into movement, flipping it while controls are inverted
+     * @param {Object} intent - Controller intent ({ move } or { targetY })
+     * @param {Paddle} paddle - Paddle being moved
+     * @param {Object} field - Field rectangle ({ x, y, width, height })
+     * @param {Object} params - Current game parameters
+     * @param {number} dt - Step duration in seconds
+     * @returns {number} Movement from -1 (up) to 1 (down)
+     */
+    getMove(intent, paddle, field, params, dt) {
+        if (Number.isFinite(intent.targetY)) {
+            // Inverted controls mirror the target across the middle of the field
+            const targetY = params.invertControls ? 2 * field.y + field.height - intent.targetY : intent.targetY;
+            
+            // Full speed while far away, then only as much as it takes to center the paddle on the target
+            const distance = targetY - (paddle.y + paddle.height / 2);
+            const maxStep = params.paddleSpeed * dt;
+            return maxStep > 0 ? Math.max(-1, Math.min(1, distance / maxStep)) : 0;
+        }
+        
+        const move = Math.max(-1, Math.min(1, intent.move || 0));
+        return params.invertControls ? -move : move;
+    }
+}
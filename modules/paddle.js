@@ -20,41 +20,32 @@ export class Paddle {
         this.isLeft = isLeft;
         this.gameParams = gameParams;
         this.color = gameParams.paddleColor || '#ffffff';
+        
+        // Position at the previous simulation tick, used for interpolated rendering
+        this.prevY = y;
     }
     
     /**
-     * Update paddle position based on keyboard input
-     * @param {Object} keys - Keyboard state
-     * @param {HTMLCanvasElement} canvas - Game canvas
+     * Update paddle position based on player input
+     * @param {number} move - Movement direction (-1 up, 0 still, 1 down)
+     * @param {Object} bounds - World bounds ({width, height})
+     * @param {number} dt - Step duration in seconds
      * @param {Object} updatedParams - Updated game parameters (optional)
      */
-    update(keys, canvas, updatedParams) {
+    update(move, bounds, dt, updatedParams) {
+        // Remember where the paddle was for interpolated rendering
+        this.prevY = this.y;
+        
         // Update game parameters if provided
         if (updatedParams) {
             this.gameParams = updatedParams;
         }
         
         // Get current field boundaries for proper positioning
-        const field = getFieldOffset(canvas, this.gameParams);
-        
-        // Move based on keys and which paddle this is
-        if (this.isLeft) {
-            // Left paddle controls (ONLY W/S keys)
-            if (keys['w'] || keys['W']) {
-                this.y -= this.gameParams.paddleSpeed;
-            }
-            if (keys['s'] || keys['S']) {
-                this.y += this.gameParams.paddleSpeed;
-            }
-        } else {
-            // Right paddle controls (ONLY Up/Down arrows)
-            if (keys['ArrowUp']) {
-                this.y -= this.gameParams.paddleSpeed;
-            }
-            if (keys['ArrowDown']) {
-                this.y += this.gameParams.paddleSpeed;
-            }
-        }
+        const field = getFieldOffset(bounds, this.gameParams);
+        
+        // Move by the requested direction (paddleSpeed is in pixels per second)
+        this.y += Math.max(-1, Math.min(1, move)) * this.gameParams.paddleSpeed * dt;
         
         // Keep paddle within field bounds
         this.y = Math.max(field.y, Math.min(field.y + field.height - this.height, this.y));
@@ -63,17 +54,22 @@ export class Paddle {
     /**
      * Update paddle position using AI
      * @param {number} targetY - Target Y position
-     * @param {HTMLCanvasElement} canvas - Game canvas
+     * @param {Object} bounds - World bounds ({width, height})
+     * @param {number} dt - Step duration in seconds
      * @param {Object} updatedParams - Updated game parameters (optional)
+     * @param {number} speedFactor - Fraction of paddleSpeed the AI moves at
      */
-    updateAI(targetY, canvas, updatedParams) {
+    updateAI(targetY, bounds, dt, updatedParams, speedFactor = 0.8) {
+        // Remember where the paddle was for interpolated rendering
+        this.prevY = this.y;
+        
         // Update game parameters if provided
         if (updatedParams) {
             this.gameParams = updatedParams;
         }
         
         // Get current field boundaries for proper positioning
-        const field = getFieldOffset(canvas, this.gameParams);
+        const field = getFieldOffset(bounds, this.gameParams);
         
         // Calculate the center of the paddle
         const paddleCenter = this.y + this.height / 2;
@@ -81,20 +77,43 @@ export class Paddle {
         // Always move to ensure the AI is responsive
         const distanceToTarget = targetY - paddleCenter;
         const moveDirection = Math.sign(distanceToTarget);
-        const aiSpeed = this.gameParams.paddleSpeed * 0.8; // Speed slightly slower than player
+        const aiSpeed = this.gameParams.paddleSpeed * speedFactor; // Usually slower than a player
         
-        // Move paddle toward the ball
-        this.y += moveDirection * aiSpeed;
+        // Move paddle toward the ball, without overshooting the target
+        this.y += moveDirection * Math.min(aiSpeed * dt, Math.abs(distanceToTarget));
         
         // Ensure AI paddle stays within field bounds
         this.y = Math.max(field.y, Math.min(field.y + field.height - this.height, this.y));
     }
     
+    /**
+     * Copy what's needed to draw this paddle at the current tick (used by the instant replay)
+     * @param {Object} params - Game parameters at this tick
+     * @returns {Paddle} Drawable copy that no longer changes
+     */
+    snapshot(params) {
+        return Object.assign(Object.create(Paddle.prototype), {
+            x: this.x,
+            y: this.y,
+            prevY: this.prevY,
+            width: this.width,
+            height: this.height,
+            color: this.color,
+            isLeft: this.isLeft,
+            gameParams: params
+        });
+    }
+    
     /**
      * Draw paddle
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} alpha - Interpolation factor between the previous and current tick (0-1)
      */
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
+        // Interpolate vertical position between the last two simulation ticks
+        const x = this.x;
+        const y = this.prevY + (this.y - this.prevY) * alpha;
+        
         ctx.save();
         
         // Add glow effect if enabled
@@ -105,10 +124,10 @@ export class Paddle {
         
         // Create gradient fill for paddle
         const gradient = ctx.createLinearGradient(
-            this.x, 
-            this.y, 
-            this.x + this.width, 
-            this.y + this.height
+            x, 
+            y, 
+            x + this.width, 
+            y + this.height
         );
         
         // Get a slightly lighter color for gradient effect
@@ -121,15 +140,15 @@ export class Paddle {
         const radius = Math.min(8, this.width / 2, this.height / 2);
         
         ctx.beginPath();
-        ctx.moveTo(this.x + radius, this.y);
-        ctx.lineTo(this.x + this.width - radius, this.y);
-        ctx.quadraticCurveTo(this.x + this.width, this.y, this.x + this.width, this.y + radius);
-        ctx.lineTo(this.x + this.width, this.y + this.height - radius);
-        ctx.quadraticCurveTo(this.x + this.width, this.y + this.height, this.x + this.width - radius, this.y + this.height);
-        ctx.lineTo(this.x + radius, this.y + this.height);
-        ctx.quadraticCurveTo(this.x, this.y + this.height, this.x, this.y + this.height - radius);
-        ctx.lineTo(this.x, this.y + radius);
-        ctx.quadraticCurveTo(this.x, this.y, this.x + radius, this.y);
+        ctx.moveTo(x + radius, y);
+        ctx.lineTo(x + this.width - radius, y);
+        ctx.quadraticCurveTo(x + this.width, y, x + this.width, y + radius);
+        ctx.lineTo(x + this.width, y + this.height - radius);
+        ctx.quadraticCurveTo(x + this.width, y + this.height, x + this.width - radius, y + this.height);
+        ctx.lineTo(x + radius, y + this.height);
+        ctx.quadraticCurveTo(x, y + this.height, x, y + this.height - radius);
+        ctx.lineTo(x, y + radius);
+        ctx.quadraticCurveTo(x, y, x + radius, y);
         ctx.closePath();
         
         ctx.fillStyle = gradient;
@@ -137,9 +156,9 @@ export class Paddle {
         
         // Add subtle inner highlight 
         ctx.beginPath();
-        ctx.moveTo(this.x + radius, this.y + 2);
-        ctx.lineTo(this.x + this.width - radius, this.y + 2);
-        ctx.quadraticCurveTo(this.x + this.width - 2, this.y + 2, this.x + this.width - 2, this.y + radius + 2);
+        ctx.moveTo(x + radius, y + 2);
+        ctx.lineTo(x + this.width - radius, y + 2);
+        ctx.quadraticCurveTo(x + this.width - 2, y + 2, x + this.width - 2, y + radius + 2);
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
         ctx.lineWidth = 1;
         ctx.stroke();
@@ -148,7 +167,7 @@ export class Paddle {
     }
     
     /**
-     * Update paddle dimensions based on game parameters
+     * Update paddle dimensions and color based on game parameters
      */
     updateDimensions() {
         // Update width and height based on game parameters, which change during chaos mode
@@ -156,5 +175,9 @@ export class Paddle {
         
         // Use paddleSize consistently for height
         this.height = this.gameParams.paddleSize;
+        
+        if (this.gameParams.paddleColor) {
+            this.color = this.gameParams.paddleColor;
+        }
     }
 }
@@ -0,0 +1,365 @@
+// Chaos profiles for Crazy Pong game
+// A profile is a JSON document describing what chaos changes and how: parameter ranges, change intervals,
+// transition durations and easing, color generators, control effect chances and event weights.
+// Profiles are plain data, so they are saved inside recordings and can be shared as files.
+import { loadSaved, saveValue } from './storage.js';
+
+// Format version written into every profile
+export const PROFILE_VERSION = 1;
+
+// How a parameter moves to a new target: 'smooth' eases in and settles, 'linear' moves at a steady rate, 'instant' jumps
+export const EASINGS = ['smooth', 'linear', 'instant'];
+
+// Physical limits for each parameter: profiles must stay inside them, and chaos keeps its scaled ranges inside them
+export const PARAM_BOUNDS = {
+    ballSpeed: { min: 20, max: 2000 },
+    ballSize: { min: 1, max: 50 },
+    paddleSize: { min: 10, max: 500 },
+    paddleWidth: { min: 2, max: 60 },
+    paddleSpeed: { min: 20, max: 2000 },
+    leftPaddleSizeScale: { min: 0.25, max: 4 },
+    rightPaddleSizeScale: { min: 0.25, max: 4 },
+    leftPaddleWidthScale: { min: 0.25, max: 4 },
+    rightPaddleWidthScale: { min: 0.25, max: 4 },
+    leftPaddleSpeedScale: { min: 0.25, max: 4 },
+    rightPaddleSpeedScale: { min: 0.25, max: 4 },
+    ballGravityX: { min: -2000, max: 2000 },
+    ballGravityY: { min: -2000, max: 2000 },
+    fieldWidth: { min: 0.3, max: 1 },
+    fieldHeight: { min: 0.3, max: 1 },
+    multiball: { min: 0, max: 1 }
+};
+
+// Colors chaos can change; per-side paddle colors override paddleColor for one paddle
+export const COLOR_PARAMS = ['ballColor', 'paddleColor', 'leftPaddleColor', 'rightPaddleColor', 'backgroundColor', 'fieldBorderColor'];
+
+// Settings events take besides their weight, with their defaults and limits
+export const EVENT_SETTINGS = {
+    mismatch: {
+        giant: { default: 1.7, min: 1, max: 4 }, // Size multiplier for the favoured paddle
+        tiny: { default: 0.55, min: 0.25, max: 1 } // Size multiplier for the other one
+    }
+};
+
+// Color generators, as the highest 24-bit color each may pick ('dark' keeps backgrounds dark)
+export const COLOR_GENERATORS = { bright: 16777215, dark: 4210752 };
+
+// Settings for entries that leave them out (times in seconds)
+const PARAM_DEFAULTS = { interval: [5, 10], transition: [2, 3], easing: 'smooth' };
+const COLOR_DEFAULTS = { generator: 'bright', interval: [2, 8] };
+const EFFECT_DEFAULTS = { chance: 0.1, interval: [10, 20] };
+
+// localStorage key for imported profiles
+const STORAGE_KEY = 'crazyPong.profiles';
+
+// The built-in chaos. Speeds are in pixels per second, gravity in pixels per second squared,
+// field sizes are a share of the canvas, and multiball is on above 0.5
+export const DEFAULT_PROFILE = {
+    version: PROFILE_VERSION,
+    name: 'Madness',
+    params: {
+        ballSpeed: { min: 120, max: 420 },
+        ballSize: { min: 5, max: 15 },
+        paddleSize: { min: 60, max: 130 },
+        paddleWidth: { min: 10, max: 25 },
+        paddleSpeed: { min: 300, max: 720 },
+        leftPaddleSizeScale: { min: 0.8, max: 1.25 },
+        rightPaddleSizeScale: { min: 0.8, max: 1.25 },
+        leftPaddleSpeedScale: { min: 0.85, max: 1.15 },
+        rightPaddleSpeedScale: { min: 0.85, max: 1.15 },
+        ballGravityX: { min: -72, max: 72 },
+        ballGravityY: { min: -360, max: 360 },
+        fieldWidth: { min: 0.7, max: 0.95 },
+        fieldHeight: { min: 0.7, max: 0.95 },
+        multiball: { min: 0, max: 1 }
+    },
+    colors: {
+        ballColor: {},
+        paddleColor: {},
+        backgroundColor: { generator: 'dark' },
+        fieldBorderColor: {}
+    },
+    effects: {
+        invertControls: { chance: 0.15 },
+        inputLag: { chance: 0.1 },
+        slipperyPaddles: { chance: 0.1 },
+        stickyPaddles: { chance: 0.1 }
+    },
+    events: { blackout: 1, mirror: 1, swap: 1, invisibleBall: 1, freeze: 1, mismatch: 1 }
+};
+
+// Profiles that come with the game, by id
+export const BUILT_IN_PROFILES = {
+    madness: DEFAULT_PROFILE,
+    gravityStorm: {
+        version: PROFILE_VERSION,
+        name: 'Gravity Storm',
+        params: {
+            ballGravityX: { min: -200, max: 200, interval: [2, 4], transition: [1, 2], easing: 'linear' },
+            ballGravityY: { min: -700, max: 700, interval: [2, 4], transition: [1, 2], easing: 'linear' }
+        },
+        colors: {
+            backgroundColor: { generator: 'dark', interval: [2, 4] }
+        },
+        effects: {},
+        events: {}
+    },
+    partyTricks: {
+        version: PROFILE_VERSION,
+        name: 'Party Tricks',
+        params: {
+            paddleSize: { min: 40, max: 160, interval: [3, 6], easing: 'instant' }
+        },
+        colors: {
+            ballColor: { interval: [1, 3] },
+            leftPaddleColor: { interval: [1, 3] },
+            rightPaddleColor: { interval: [1, 3] }
+        },
+        effects: {
+            invertControls: { chance: 0.2 }
+        },
+        events: { blackout: 2, mirror: 1, swap: 1, invisibleBall: 2, freeze: 3, mismatch: { weight: 2, giant: 2.2, tiny: 0.4 } }
+    }
+};
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Read one section of a profile, rejecting entries the game doesn't know
+ * @param {Object} profile - Profile being validated
+ * @param {string} section - Section name (params, colors, effects, events)
+ * @param {string[]} known - Entry names the section may use
+ * @returns {Array} Entries as [name, value]; a missing section has none
+ * @throws {Error} If the section is not an object or names an unknown entry
+ */
+function readSection(profile, section, known) {
+    const entries = profile[section];
+    if (entries === undefined) return [];
+    if (!isObject(entries)) {
+        throw new Error(`Chaos profile ${section} must be an object`);
+    }
+    
+    return Object.entries(entries).map(([name, value]) => {
+        if (!known.includes(name)) {
+            throw new Error(`Unknown chaos profile ${section} entry "${name}" (expected one of ${known.join(', ')})`);
+        }
+        return [name, value];
+    });
+}
+
+/**
+ * Check a [min, max] pair of seconds
+ * @param {*} value - Value to check
+ * @param {string} where - Where the value is, for the error message
+ * @param {boolean} allowZero - Whether the pair may start at 0
+ * @returns {number[]} Copy of the pair
+ * @throws {Error} If the value is not a valid pair
+ */
+function readSeconds(value, where, allowZero) {
+    const valid = Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) &&
+        (allowZero ? value[0] >= 0 : value[0] > 0) && value[0] <= value[1];
+    if (!valid) {
+        throw new Error(`${where} must be [min, max] in seconds, with ${allowZero ? '0 <=' : '0 <'} min <= max`);
+    }
+    return [value[0], value[1]];
+}
+
+/**
+ * Check a parameter's [min, max] range
+ * @param {string} name - Parameter name (see PARAM_BOUNDS)
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {string} where - Where the range is, for the error message
+ * @throws {Error} If the range is not two numbers in order within the parameter's limits
+ */
+export function checkParamRange(name, min, max, where) {
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        throw new Error(`${where} needs numbers min and max, with min <= max`);
+    }
+    const bounds = PARAM_BOUNDS[name];
+    if (min < bounds.min || max > bounds.max) {
+        throw new Error(`${where} must stay between ${bounds.min} and ${bounds.max}`);
+    }
+}
+
+/**
+ * Validate a chaos profile and fill in the settings it leaves out
+ * @param {Object} profile - Profile to check
+ * @returns {Object} Complete copy of the profile
+ * @throws {Error} Describing the first problem found
+ */
+export function validateChaosProfile(profile) {
+    if (!isObject(profile)) {
+        throw new Error('Chaos profile must be an object');
+    }
+    if (profile.version !== PROFILE_VERSION) {
+        throw new Error(`Unsupported chaos profile version: ${profile.version}`);
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim()) {
+        throw new Error('Chaos profile needs a name');
+    }
+    
+    const result = { version: PROFILE_VERSION, name: profile.name.trim(), params: {}, colors: {}, effects: {}, events: {} };
+    
+    readSection(profile, 'params', Object.keys(PARAM_BOUNDS)).forEach(([name, entry]) => {
+        const where = `params.${name}`;
+        if (!isObject(entry)) throw new Error(`${where} must be an object`);
+        
+        const param = { ...PARAM_DEFAULTS, ...entry };
+        checkParamRange(name, param.min, param.max, where);
+        if (!EASINGS.includes(param.easing)) {
+            throw new Error(`${where}.easing must be one of ${EASINGS.join(', ')}`);
+        }
+        result.params[name] = {
+            min: param.min,
+            max: param.max,
+            interval: readSeconds(param.interval, `${where}.interval`, false),
+            transition: readSeconds(param.transition, `${where}.transition`, true),
+            easing: param.easing
+        };
+    });
+    
+    readSection(profile, 'colors', COLOR_PARAMS).forEach(([name, entry]) => {
+        const where = `colors.${name}`;
+        if (!isObject(entry)) throw new Error(`${where} must be an object`);
+        
+        const color = { ...COLOR_DEFAULTS, ...entry };
+        if (!Object.keys(COLOR_GENERATORS).includes(color.generator)) {
+            throw new Error(`${where}.generator must be one of ${Object.keys(COLOR_GENERATORS).join(', ')}`);
+        }
+        result.colors[name] = { generator: color.generator, interval: readSeconds(color.interval, `${where}.interval`, false) };
+    });
+    
+    readSection(profile, 'effects', Object.keys(DEFAULT_PROFILE.effects)).forEach(([name, entry]) => {
+        const where = `effects.${name}`;
+        if (!isObject(entry)) throw new Error(`${where} must be an object`);
+        
+        const effect = { ...EFFECT_DEFAULTS, ...entry };
+        if (!Number.isFinite(effect.chance) || effect.chance < 0 || effect.chance > 1) {
+            throw new Error(`${where}.chance must be a number from 0 to 1`);
+        }
+        result.effects[name] = { chance: effect.chance, interval: readSeconds(effect.interval, `${where}.interval`, false) };
+    });
+    
+    readSection(profile, 'events', Object.keys(DEFAULT_PROFILE.events)).forEach(([name, entry]) => {
+        // An event is a weight, or { weight, ...settings } for events with settings
+        const where = `events.${name}`;
+        const settings = EVENT_SETTINGS[name] || {};
+        if (isObject(entry)) {
+            const unknown = Object.keys(entry).find(key => key !== 'weight' && !Object.keys(settings).includes(key));
+            if (unknown) {
+                throw new Error(`Unknown ${where} setting "${unknown}"`);
+            }
+        }
+        
+        const event = isObject(entry) ? entry : { weight: entry };
+        if (!Number.isFinite(event.weight) || event.weight < 0) {
+            throw new Error(`${where} must be a weight of 0 or more`);
+        }
+        result.events[name] = { weight: event.weight };
+        Object.entries(settings).forEach(([key, setting]) => {
+            const value = event[key] === undefined ? setting.default : event[key];
+            if (!Number.isFinite(value) || value < setting.min || value > setting.max) {
+                throw new Error(`${where}.${key} must be a number from ${setting.min} to ${setting.max}`);
+            }
+            result.events[name][key] = value;
+        });
+    });
+    
+    return result;
+}
+
+/**
+ * Parse and validate a chaos profile exported as JSON
+ * @param {string} text - JSON text
+ * @returns {Object} Complete profile
+ * @throws {Error} If the text is not a valid profile
+ */
+export function parseChaosProfile(text) {
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Chaos profile is not valid JSON');
+    }
+    return validateChaosProfile(profile);
+}
+
+/**
+ * Built-in and imported chaos profiles; imported ones are saved between visits
+ */
+export class ChaosProfiles {
+    /**
+     * Create the library and load any saved profiles
+     * @param {Storage} storage - Where to save imported profiles, e.g. window.localStorage (optional)
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.imported = []; // Imported profiles, in the order they were added
+        this.load();
+    }
+    
+    /**
+     * List every profile
+     * @returns {Object[]} Profiles as { id, name }, built-in ones first
+     */
+    list() {
+        const builtIn = Object.entries(BUILT_IN_PROFILES).map(([id, profile]) => ({ id, name: profile.name }));
+        const imported = this.imported.map(profile => ({ id: `imported:${profile.name}`, name: `${profile.name} (imported)` }));
+        return builtIn.concat(imported);
+    }
+    
+    /**
+     * Look up a profile
+     * @param {string} id - Profile id (see list)
+     * @returns {Object|null} Profile, or null if there is none with that id
+     */
+    get(id) {
+        if (BUILT_IN_PROFILES[id]) return BUILT_IN_PROFILES[id];
+        return this.imported.find(profile => `imported:${profile.name}` === id) || null;
+    }
+    
+    /**
+     * Add an imported profile, replacing any imported one with the same name
+     * @param {Object} profile - Profile to add
+     * @returns {string} Id of the added profile
+     * @throws {Error} If the profile is not valid
+     */
+    add(profile) {
+        const checked = validateChaosProfile(profile);
+        this.imported = this.imported.filter(other => other.name !== checked.name).concat(checked);
+        this.save();
+        return `imported:${checked.name}`;
+    }
+    
+    /**
+     * Load saved profiles, skipping any that are no longer valid
+     */
+    load() {
+        const saved = loadSaved(this.storage, STORAGE_KEY, 'chaos profiles');
+        if (!Array.isArray(saved)) return;
+        
+        this.imported = [];
+        saved.forEach(profile => {
+            try {
+                this.imported.push(validateChaosProfile(profile));
+            } catch (error) {
+                console.warn('Skipping saved chaos profile:', error.message);
+            }
+        });
+    }
+    
+    /**
+     * Save the imported profiles, if there is somewhere to save them
+     */
+    save() {
+        saveValue(this.storage, STORAGE_KEY, this.imported, 'chaos profiles');
+    }
+}
@@ -0,0 +1,112 @@
+// Seeded random number generator for Crazy Pong game
+// Every random decision in the simulation goes through a Random instance,
+// so two runs with the same seed and the same inputs play out identically
+
+/**
+ * Create a fresh random seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn a seed typed by a player (number or text) into a 32-bit seed
+ * @param {number|string} value - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function parseSeed(value) {
+    const text = String(value).trim();
+    
+    // Plain integers are used as-is so seeds shown in the UI round-trip
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    
+    // Hash any other text (FNV-1a)
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Random class - small, fast seeded PRNG (mulberry32)
+ */
+export class Random {
+    /**
+     * Create a new generator
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    constructor(seed = randomSeed()) {
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Unsigned 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * Get the next random number
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Get a random number in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (exclusive)
+     * @returns {number} Random number
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Get a random integer
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * Roll a chance
+     * @param {number} probability - Probability of success (0-1)
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Get a random sign
+     * @returns {number} 1 or -1
+     */
+    sign() {
+        return this.next() < 0.5 ? 1 : -1;
+    }
+    
+    /**
+     * Get a random hex color
+     * @param {number} max - Upper bound for the 24-bit color value (default: any color)
+     * @returns {string} Hex color code
+     */
+    color(max = 16777215) {
+        return `#${this.int(max).toString(16).padStart(6, '0')}`;
+    }
+}
@@ -0,0 +1,284 @@
+// Match recording and replay for Crazy Pong game
+// A recording holds the seed, the simulation config and the per-tick paddle inputs.
+// The simulation is deterministic, so replaying those inputs rebuilds the match exactly.
+import { validateChaosProfile } from './profiles.js';
+
+// Format version written into every recording
+export const RECORDING_VERSION = 2;
+
+/**
+ * Check whether two recorded inputs are identical
+ * @param {Object|null} a - First input
+ * @param {Object|null} b - Second input
+ * @returns {boolean} Whether the inputs match
+ */
+function sameInput(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Append one tick of input to a run-length encoded list
+ * @param {Array} runs - List of [tickCount, input] runs
+ * @param {Object|null} input - Paddle input for this tick (null means AI control)
+ */
+function appendRun(runs, input) {
+    const value = input ? { ...input } : null;
+    const last = runs[runs.length - 1];
+    
+    if (last && sameInput(last[1], value)) {
+        last[0]++;
+    } else {
+        runs.push([1, value]);
+    }
+}
+
+/**
+ * Parse and validate a recording exported as JSON
+ * @param {string} text - JSON text
+ * @returns {Object} Recording
+ * @throws {Error} If the text is not a valid recording
+ */
+export function parseRecording(text) {
+    let recording;
+    try {
+        recording = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay file is not valid JSON');
+    }
+    
+    if (!recording || typeof recording !== 'object') {
+        throw new Error('Replay file does not contain a recording');
+    }
+    if (recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported replay version: ${recording.version}`);
+    }
+    if (!Number.isInteger(recording.seed) || !(recording.timestep > 0) || !Number.isInteger(recording.ticks)) {
+        throw new Error('Replay is missing its seed, timestep or tick count');
+    }
+    
+    // Both sides must cover exactly the recorded number of ticks
+    for (const side of ['left', 'right']) {
+        const runs = recording.inputs && recording.inputs[side];
+        if (!Array.isArray(runs)) {
+            throw new Error(`Replay has no inputs for the ${side} paddle`);
+        }
+        const total = runs.reduce((sum, run) => sum + (Array.isArray(run) ? run[0] : NaN), 0);
+        if (total !== recording.ticks) {
+            throw new Error(`Replay inputs for the ${side} paddle don't match its length`);
+        }
+    }
+    
+    // A profile edited inside the file would only fail once playback had started
+    const chaos = recording.config && recording.config.chaos;
+    if (chaos && chaos.profile) {
+        try {
+            validateChaosProfile(chaos.profile);
+        } catch (error) {
+            throw new Error(`Replay has an invalid chaos profile: ${error.message}`);
+        }
+    }
+    
+    return recording;
+}
+
+/**
+ * MatchRecorder class - collects the inputs of a match as it is played
+ */
+export class MatchRecorder {
+    constructor() {
+        this.recording = null;
+    }
+    
+    /**
+     * Start recording a new match
+     * @param {number} seed - Simulation seed
+     * @param {Object} config - Simulation config (see Simulation.getConfig)
+     * @param {number} timestep - Simulation step in seconds
+     */
+    start(seed, config, timestep) {
+        this.recording = {
+            version: RECORDING_VERSION,
+            seed,
+            timestep,
+            config,
+            ticks: 0,
+            inputs: { left: [], right: [] }
+        };
+    }
+    
+    /**
+     * Whether a match is being recorded
+     * @returns {boolean} Recording state
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+    
+    /**
+     * Record the inputs for one simulation step
+     * @param {Object} inputs - Inputs passed to Simulation.step
+     */
+    record(inputs) {
+        if (!this.recording) return;
+        
+        appendRun(this.recording.inputs.left, inputs.left);
+        appendRun(this.recording.inputs.right, inputs.right);
+        this.recording.ticks++;
+    }
+    
+    /**
+     * Stop recording
+     * @param {Object} players - Who played each side ({ left, right }), shown when the replay is watched (optional)
+     * @returns {Object|null} The finished recording
+     */
+    stop(players = null) {
+        const recording = this.recording;
+        this.recording = null;
+        
+        if (recording && players) {
+            recording.players = players;
+        }
+        return recording;
+    }
+}
+
+/**
+ * ReplayPlayer class - rebuilds a recorded match tick by tick on a simulation
+ */
+export class ReplayPlayer {
+    /**
+     * Create a replay player
+     * @param {Simulation} simulation - Simulation to drive
+     * @param {Object} recording - Recording to play
+     */
+    constructor(simulation, recording) {
+        this.simulation = simulation;
+        this.recording = recording;
+        this.restart();
+    }
+    
+    /**
+     * Rewind to the start of the match
+     */
+    restart() {
+        this.simulation.configure(this.recording.config);
+        this.simulation.reset(this.recording.seed);
+        this.tick = 0;
+        
+        // Position in each side's run list: run index and ticks used from that run
+        this.cursors = {
+            left: { run: 0, used: 0 },
+            right: { run: 0, used: 0 }
+        };
+    }
+    
+    /**
+     * Whether every recorded tick has been played
+     * @returns {boolean} Finished state
+     */
+    isFinished() {
+        return this.tick >= this.recording.ticks;
+    }
+    
+    /**
+     * Read the recorded input for one side at the current tick and advance
+     * @param {string} side - Paddle side (left/right)
+     * @returns {Object|null} Paddle input
+     */
+    nextInput(side) {
+        const runs = this.recording.inputs[side];
+        const cursor = this.cursors[side];
+        const [count, input] = runs[cursor.run];
+        
+        cursor.used++;
+        if (cursor.used >= count) {
+            cursor.run++;
+            cursor.used = 0;
+        }
+        
+        return input;
+    }
+    
+    /**
+     * Play one recorded tick
+     * @returns {Array|null} Simulation events, or null when the replay is finished
+     */
+    step() {
+        if (this.isFinished()) return null;
+        
+        const inputs = {
+            left: this.nextInput('left'),
+            right: this.nextInput('right')
+        };
+        this.tick++;
+        
+        return this.simulation.step(this.recording.timestep, inputs);
+    }
+    
+    /**
+     * Jump to a tick; seeking backwards replays the match from the start
+     * @param {number} tick - Target tick
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.recording.ticks, Math.floor(tick)));
+        
+        if (target < this.tick) {
+            this.restart();
+        }
+        while (this.tick < target) {
+            this.step();
+        }
+    }
+}
+
+/**
+ * InstantReplayBuffer class - rolling window of drawable snapshots for the replay after each point
+ */
+export class InstantReplayBuffer {
+    /**
+     * Create a buffer
+     * @param {number} duration - Seconds of play to keep
+     * @param {number} timestep - Simulation step in seconds
+     */
+    constructor(duration = 3, timestep = 1 / 120) {
+        this.maxFrames = Math.round(duration / timestep);
+        this.frames = [];
+    }
+    
+    /**
+     * Forget everything captured so far
+     */
+    clear() {
+        this.frames = [];
+    }
+    
+    /**
+     * Store the ball, paddle and chaos-parameter state after a simulation step
+     * @param {Simulation} simulation - Simulation to capture
+     */
+    capture(simulation) {
+        // Chaos updates its parameters in place, so keep a copy per frame
+        const params = { ...simulation.params };
+        
+        this.frames.push({
+            bounds: simulation.bounds,
+            params,
+            paddleLeft: simulation.paddleLeft.snapshot(params),
+            paddleRight: simulation.paddleRight.snapshot(params),
+            balls: simulation.balls.map(ball => ball.snapshot(params))
+        });
+        
+        // Drop the oldest frame once the window is full
+        if (this.frames.length > this.maxFrames) {
+            this.frames.shift();
+        }
+    }
+    
+    /**
+     * Get the captured frames, oldest first
+     * @returns {Array} Frames shaped like the simulation ({ bounds, params, paddleLeft, paddleRight, balls })
+     */
+    getFrames() {
+        return this.frames.slice();
+    }
+}
@@ -0,0 +1,167 @@
+// Match rules for Crazy Pong game
+
+// Default match rules
+export const DEFAULT_RULES = {
+    pointsToWin: 11, // Points needed to win a set (0 = play forever)
+    winByTwo: true, // A set needs a two point lead to finish
+    bestOf: 1, // Number of sets in the match (odd number)
+    timeLimit: 0, // Match length in seconds (0 = no limit)
+    suddenDeath: true // On a tie when time runs out, the next point wins the match
+};
+
+/**
+ * MatchRules class - keeps the score and decides when sets and the match are won
+ */
+export class MatchRules {
+    /**
+     * Create match rules
+     * @param {Object} config - Rule overrides for DEFAULT_RULES
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_RULES, ...config };
+        this.reset();
+    }
+    
+    /**
+     * Change the rules; takes effect from the next reset
+     * @param {Object} config - Rule overrides for the current config
+     */
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+    
+    /**
+     * Reset the score for a new match
+     */
+    reset() {
+        this.points = { left: 0, right: 0 }; // Points in the current set
+        this.sets = { left: 0, right: 0 }; // Sets won
+        this.currentSet = 1;
+        this.suddenDeath = false;
+        this.timeExpired = false;
+        this.matchOver = false;
+        this.winner = null; // 'left', 'right' or null for a draw
+    }
+    
+    /**
+     * Number of sets a player must win to take the match
+     * @returns {number} Sets needed
+     */
+    getSetsToWin() {
+        return Math.ceil(Math.max(1, this.config.bestOf) / 2);
+    }
+    
+    /**
+     * Award a point and apply the rules
+     * @param {string} side - Which side scored (left/right)
+     * @returns {Object} Outcome: { setWinner, matchOver, winner }
+     */
+    awardPoint(side) {
+        const outcome = { setWinner: null, matchOver: false, winner: null };
+        if (this.matchOver) return outcome;
+        
+        this.points[side]++;
+        
+        // In sudden death the next point decides the match
+        if (this.suddenDeath) {
+            this.sets[side]++;
+            outcome.setWinner = side;
+            return this.endMatch(side, outcome);
+        }
+        
+        // Check whether this point wins the set
+        if (this.isSetWon(side)) {
+            this.sets[side]++;
+            outcome.setWinner = side;
+            
+            if (this.sets[side] >= this.getSetsToWin()) {
+                return this.endMatch(side, outcome);
+            }
+            
+            // Start the next set
+            this.points = { left: 0, right: 0 };
+            this.currentSet++;
+        }
+        
+        return outcome;
+    }
+    
+    /**
+     * Check whether a side has won the current set
+     * @param {string} side - Side that just scored (left/right)
+     * @returns {boolean} Whether the set is won
+     */
+    isSetWon(side) {
+        const { pointsToWin, winByTwo } = this.config;
+        if (!pointsToWin) return false;
+        
+        const other = side === 'left' ? 'right' : 'left';
+        const lead = this.points[side] - this.points[other];
+        
+        return this.points[side] >= pointsToWin && (!winByTwo || lead >= 2);
+    }
+    
+    /**
+     * Check the time limit
+     * @param {number} time - Match time in milliseconds
+     * @returns {Object|null} Outcome if the match ended, otherwise null
+     */
+    update(time) {
+        if (this.matchOver || this.timeExpired || !this.config.timeLimit) return null;
+        if (time < this.config.timeLimit * 1000) return null;
+        
+        this.timeExpired = true;
+        
+        // Whoever leads (sets first, then points) wins when time runs out
+        const leader = this.getLeader();
+        if (leader) {
+            return this.endMatch(leader, { setWinner: null, matchOver: false, winner: null });
+        }
+        
+        // Tied: play on until the next point, or call it a draw
+        if (this.config.suddenDeath) {
+            this.suddenDeath = true;
+            return null;
+        }
+        
+        return this.endMatch(null, { setWinner: null, matchOver: false, winner: null });
+    }
+    
+    /**
+     * Get the side currently ahead on sets, then points
+     * @returns {string|null} 'left', 'right' or null when tied
+     */
+    getLeader() {
+        if (this.sets.left !== this.sets.right) {
+            return this.sets.left > this.sets.right ? 'left' : 'right';
+        }
+        if (this.points.left !== this.points.right) {
+            return this.points.left > this.points.right ? 'left' : 'right';
+        }
+        return null;
+    }
+    
+    /**
+     * Get the remaining match time
+     * @param {number} time - Match time in milliseconds
+     * @returns {number|null} Remaining seconds, or null without a time limit
+     */
+    getTimeRemaining(time) {
+        if (!this.config.timeLimit) return null;
+        return Math.max(0, this.config.timeLimit - time / 1000);
+    }
+    
+    /**
+     * Finish the match
+     * @param {string|null} winner - Winning side, or null for a draw
+     * @param {Object} outcome - Outcome object to complete
+     * @returns {Object} Completed outcome
+     */
+    endMatch(winner, outcome) {
+        this.matchOver = true;
+        this.winner = winner;
+        outcome.matchOver = true;
+        outcome.winner = winner;
+        return outcome;
+    }
+}
@@ -0,0 +1,102 @@
+// Serve rules for Crazy Pong game
+
+// Default serve settings
+export const DEFAULT_SERVE = {
+    rule: 'alternate', // Who serves after a point: 'alternate' sides, or 'loser' (the side that conceded)
+    countdown: 1.5, // Seconds the ball waits on the server's paddle before it is served
+    holdToServe: false, // Human servers keep the ball until they press serve
+    maxHold: 5 // Seconds a held ball waits before it is served anyway
+};
+
+/**
+ * ServeController class - decides who serves and times the serve
+ */
+export class ServeController {
+    /**
+     * Create a serve controller
+     * @param {Object} config - Overrides for DEFAULT_SERVE
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_SERVE, ...config };
+        this.reset();
+    }
+    
+    /**
+     * Change the serve settings; takes effect from the next serve
+     * @param {Object} config - Overrides for the current config
+     */
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+    
+    /**
+     * Forget the serve history for a new match
+     */
+    reset() {
+        this.ball = null; // Ball waiting to be served
+        this.side = null; // Serving side (left/right)
+        this.timeLeft = 0; // Countdown in seconds
+        this.holding = false; // Countdown is over and a human server is holding the ball
+        this.lastServer = null;
+    }
+    
+    /**
+     * Whether a ball is waiting to be served
+     * @returns {boolean} Serve in progress
+     */
+    isActive() {
+        return this.ball !== null;
+    }
+    
+    /**
+     * Pick the server for the next point
+     * @param {string} conceded - Side that lost the last point (left/right)
+     * @returns {string} Serving side
+     */
+    getNextServer(conceded) {
+        if (this.config.rule === 'loser' || !this.lastServer) {
+            return conceded;
+        }
+        return this.lastServer === 'left' ? 'right' : 'left';
+    }
+    
+    /**
+     * Start a serve
+     * @param {Ball} ball - Ball to serve (already held on the server's paddle)
+     * @param {string} side - Serving side (left/right)
+     */
+    start(ball, side) {
+        this.ball = ball;
+        this.side = side;
+        this.timeLeft = this.config.countdown;
+        this.holding = false;
+        this.lastServer = side;
+    }
+    
+    /**
+     * Advance the serve countdown
+     * @param {number} dt - Step duration in seconds
+     * @param {Object|null} input - Server's paddle input ({ move, serve }), or null for the AI
+     * @returns {boolean} Whether the ball should be served now
+     */
+    update(dt, input) {
+        this.timeLeft -= dt;
+        if (this.timeLeft > 0) return false;
+        
+        // Human servers may hold on to the ball, but not forever
+        if (this.config.holdToServe && input) {
+            this.holding = true;
+            return Boolean(input.serve) || -this.timeLeft >= this.config.maxHold;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Finish the current serve
+     */
+    clear() {
+        this.ball = null;
+        this.holding = false;
+    }
+}
@@ -0,0 +1,640 @@
+// Headless simulation core for Crazy Pong
+// Contains no DOM or canvas code, so it runs in the browser and in Node alike
+import { getFieldOffset } from './utils.js';
+import { Paddle } from './paddle.js';
+import { Ball } from './ball.js';
+import { ChaosController } from './chaos.js';
+import { MatchRules } from './rules.js';
+import { ServeController } from './serve.js';
+import { SpeedModel } from './speed.js';
+import { PaddleAI } from './ai.js';
+import { PaddleInput } from './input.js';
+import { Random, randomSeed } from './random.js';
+
+// Logical world size; the renderer scales this to whatever canvas it draws on
+export const WORLD_WIDTH = 1000;
+export const WORLD_HEIGHT = 600;
+
+// Default game configuration (speeds in pixels per second)
+export const DEFAULT_PARAMS = {
+    ballSpeed: 300,
+    ballSize: 10,
+    paddleSize: 100, // Changed from paddleHeight to paddleSize
+    paddleWidth: 15,
+    paddleSpeed: 480,
+    paddleColor: '#00ffff', // Cyan neon color
+    leftPaddleSizeScale: 1, // Per-side multipliers chaos can drift apart, so one player is favoured for a while
+    rightPaddleSizeScale: 1,
+    leftPaddleWidthScale: 1,
+    rightPaddleWidthScale: 1,
+    leftPaddleSpeedScale: 1,
+    rightPaddleSpeedScale: 1,
+    leftPaddleColor: null, // Per-side paddle colors; null follows paddleColor
+    rightPaddleColor: null,
+    fieldWidth: 0.9,
+    fieldHeight: 0.9,
+    ballColor: '#ff00ff', // Magenta neon color
+    backgroundColor: '#0a0a12', // Dark background
+    fieldBorderColor: '#1c1c35', // Light border
+    trailEffect: true,
+    paddlePulse: false,
+    screenShake: true,
+    invertControls: false,
+    inputLag: false,
+    slipperyPaddles: false,
+    stickyPaddles: false,
+    blackout: false, // Chaos events (see ChaosController.chaosEvents)
+    mirrorField: false,
+    swapPaddles: false,
+    invisibleBall: false,
+    freezePaddles: false,
+    leftMismatchScale: 1, // Paddle size multiplier per side during the giant vs tiny event
+    rightMismatchScale: 1,
+    ballGravityX: 0,
+    ballGravityY: 0,
+    multiball: false,
+    transitionSpeed: 0.05,
+    useNeonEffects: true, // Enable neon glow effects
+    useParticles: true // Enable particle effects
+};
+
+// Persistent handicap for one paddle: multipliers of the shared paddle parameters, and its own color (null for the shared one)
+export const DEFAULT_HANDICAP = {
+    paddleSize: 1,
+    paddleWidth: 1,
+    paddleSpeed: 1,
+    paddleColor: null
+};
+
+// Handicaps to pick from on the title screen
+export const HANDICAPS = {
+    none: {},
+    smaller: { paddleSize: 0.7 },
+    slower: { paddleSpeed: 0.75 },
+    tiny: { paddleSize: 0.5, paddleWidth: 0.8 },
+    bigger: { paddleSize: 1.3 }
+};
+
+/**
+ * Simulation class - owns the field, paddles, balls, chaos and match scoring
+ */
+export class Simulation {
+    /**
+     * Create a new simulation
+     * @param {Object} options - Optional settings
+     * @param {number} options.width - World width (defaults to WORLD_WIDTH)
+     * @param {number} options.height - World height (defaults to WORLD_HEIGHT)
+     * @param {Object} options.params - Overrides for DEFAULT_PARAMS
+     * @param {number} options.maxBalls - Maximum number of balls in play
+     * @param {Object} options.rules - Match rule overrides (see DEFAULT_RULES)
+     * @param {Object} options.serve - Serve setting overrides (see DEFAULT_SERVE)
+     * @param {Object} options.speed - Ball speed model overrides (see DEFAULT_SPEED)
+     * @param {Object} options.ai - AI settings per side ({ left, right }), each a level name or settings (see AI_LEVELS)
+     * @param {Object} options.chaos - Chaos setting overrides (see DEFAULT_CHAOS)
+     * @param {Object} options.handicaps - Handicap per side ({ left, right }), each overrides for DEFAULT_HANDICAP
+     * @param {boolean} options.ballCollisions - Whether balls bounce off each other during multiball
+     * @param {number} options.seed - Random seed (a fresh seed is picked when omitted)
+     */
+    constructor(options = {}) {
+        this.bounds = {
+            width: options.width || WORLD_WIDTH,
+            height: options.height || WORLD_HEIGHT
+        };
+        this.defaultParams = { ...DEFAULT_PARAMS, ...options.params };
+        this.maxBalls = options.maxBalls || 5;
+        this.ballCollisions = options.ballCollisions || false;
+        
+        // Single seeded source for every random decision in the match
+        this.rng = new Random();
+        
+        // Chaos controller
+        this.chaosController = new ChaosController(this.defaultParams, this.rng, options.chaos, this.emit.bind(this));
+        
+        // Match rules and score keeping
+        this.rules = new MatchRules(options.rules);
+        
+        // Who serves and when
+        this.serve = new ServeController(options.serve);
+        this.pendingServe = null; // Serve to start once this step's balls have moved
+        
+        // How rallies speed the ball up
+        this.speed = new SpeedModel(options.speed);
+        
+        // Built-in AI for each paddle
+        const ai = options.ai || {};
+        this.ai = {
+            left: new PaddleAI(ai.left, this.rng),
+            right: new PaddleAI(ai.right, this.rng)
+        };
+        
+        // Persistent handicaps for each paddle
+        const handicaps = options.handicaps || {};
+        this.handicaps = {
+            left: { ...DEFAULT_HANDICAP, ...handicaps.left },
+            right: { ...DEFAULT_HANDICAP, ...handicaps.right }
+        };
+        
+        // Controller intents for each paddle, read with chaos control effects applied
+        this.paddleInputs = { left: new PaddleInput(), right: new PaddleInput() };
+        
+        // Events produced during the current step
+        this.events = [];
+        
+        this.reset(options.seed);
+    }
+    
+    /**
+     * Reset the simulation to the start of a match
+     * @param {number} seed - Random seed for the match (a fresh seed is picked when omitted)
+     */
+    reset(seed = randomSeed()) {
+        // Restart the random sequence so the same seed replays the same match
+        this.seed = seed >>> 0;
+        this.rng.setSeed(this.seed);
+        
+        // Simulation clock in milliseconds
+        this.time = 0;
+        
+        // Scores and serves
+        this.rules.reset();
+        this.serve.reset();
+        this.pendingServe = null;
+        this.ai.left.reset();
+        this.ai.right.reset();
+        this.paddleInputs.left.reset();
+        this.paddleInputs.right.reset();
+        
+        // Multiball state
+        this.lastMultiballTime = 0;
+        this.multiballActive = false;
+        this.multiballSequence = null;
+        
+        // Reset chaos controller and parameters
+        this.chaosController.reset();
+        this.params = { ...this.defaultParams };
+        
+        this.createGameObjects();
+        
+        // A random side serves first
+        this.startServe(this.balls[0], this.rng.sign() > 0 ? 'left' : 'right');
+    }
+    
+    /**
+     * Get the settings needed to rebuild this match from its seed
+     * @returns {Object} Config: { rules, serve, speed, ai, chaos, handicaps, maxBalls, ballCollisions }
+     */
+    getConfig() {
+        return {
+            rules: { ...this.rules.config },
+            serve: { ...this.serve.config },
+            speed: { ...this.speed.config },
+            ai: { left: { ...this.ai.left.config }, right: { ...this.ai.right.config } },
+            chaos: { ...this.chaosController.config, ranges: { ...this.chaosController.config.ranges } },
+            handicaps: { left: { ...this.handicaps.left }, right: { ...this.handicaps.right } },
+            maxBalls: this.maxBalls,
+            ballCollisions: this.ballCollisions
+        };
+    }
+    
+    /**
+     * Apply settings from getConfig; takes effect from the next reset
+     * @param {Object} config - Config: { rules, serve, speed, ai, chaos, handicaps, maxBalls, ballCollisions }; a side's handicap replaces the old one
+     */
+    configure(config = {}) {
+        if (config.rules) {
+            this.rules.configure(config.rules);
+        }
+        if (config.serve) {
+            this.serve.configure(config.serve);
+        }
+        if (config.speed) {
+            this.speed.configure(config.speed);
+        }
+        if (config.chaos) {
+            this.chaosController.configure(config.chaos);
+        }
+        if (config.ai) {
+            if (config.ai.left) this.ai.left.configure(config.ai.left);
+            if (config.ai.right) this.ai.right.configure(config.ai.right);
+        }
+        if (config.handicaps) {
+            if (config.handicaps.left) this.handicaps.left = { ...DEFAULT_HANDICAP, ...config.handicaps.left };
+            if (config.handicaps.right) this.handicaps.right = { ...DEFAULT_HANDICAP, ...config.handicaps.right };
+        }
+        if (config.maxBalls) {
+            this.maxBalls = config.maxBalls;
+        }
+        if (config.ballCollisions !== undefined) {
+            this.ballCollisions = config.ballCollisions;
+        }
+    }
+    
+    /**
+     * Points scored by the left player in the current set
+     * @returns {number} Left score
+     */
+    get leftScore() {
+        return this.rules.points.left;
+    }
+    
+    /**
+     * Points scored by the right player in the current set
+     * @returns {number} Right score
+     */
+    get rightScore() {
+        return this.rules.points.right;
+    }
+    
+    /**
+     * Whether the match has been decided
+     * @returns {boolean} Match over state
+     */
+    get matchOver() {
+        return this.rules.matchOver;
+    }
+    
+    /**
+     * Create initial game objects
+     */
+    createGameObjects() {
+        const field = getFieldOffset(this.bounds, this.params);
+        
+        // Create paddles - ensure we're using paddleSize for height
+        const leftParams = this.getPaddleParams('left');
+        this.paddleLeft = new Paddle(
+            field.x + 10,
+            field.y + (field.height - leftParams.paddleSize) / 2,
+            true,
+            leftParams
+        );
+        
+        const rightParams = this.getPaddleParams('right');
+        this.paddleRight = new Paddle(
+            field.x + field.width - 10 - rightParams.paddleWidth,
+            field.y + (field.height - rightParams.paddleSize) / 2,
+            false,
+            rightParams
+        );
+        
+        // Create main ball - pass a copy of params to ensure it has its own copy of colors
+        this.balls = [this.createBall()];
+    }
+    
+    /**
+     * Get the game parameters one paddle plays with: the shared ones, adjusted by its handicap and chaos for its side
+     * @param {string} side - Paddle side (left/right)
+     * @param {Object} params - Shared game parameters to adjust (defaults to the current ones)
+     * @returns {Object} Game parameters for the paddle
+     */
+    getPaddleParams(side, params = this.params) {
+        const handicap = this.handicaps[side];
+        return {
+            ...params,
+            paddleSize: params.paddleSize * handicap.paddleSize * params[`${side}PaddleSizeScale`] * params[`${side}MismatchScale`],
+            paddleWidth: params.paddleWidth * handicap.paddleWidth * params[`${side}PaddleWidthScale`],
+            paddleSpeed: params.paddleSpeed * handicap.paddleSpeed * params[`${side}PaddleSpeedScale`],
+            paddleColor: handicap.paddleColor || params[`${side}PaddleColor`] || params.paddleColor
+        };
+    }
+    
+    /**
+     * Create a ball wired to this simulation's scoring and events
+     * @param {Object} options - Optional ball position and velocity
+     * @returns {Ball} The new ball
+     */
+    createBall(options = {}) {
+        const ball = new Ball(
+            this.bounds,
+            {...this.params},
+            this.updateScore.bind(this),
+            options,
+            this.emit.bind(this),
+            this.rng
+        );
+        ball.speedModel = this.speed;
+        return ball;
+    }
+    
+    /**
+     * Record an event for the current step
+     * @param {string} type - Event type (score, setWon, matchOver, serveStart, serve, paddleHit, wallHit, ballHit, multiball, multiballSpawn, chaosEventStart, chaosEventEnd)
+     * @param {Object} data - Event data
+     */
+    emit(type, data = {}) {
+        this.events.push({ type, time: this.time, ...data });
+    }
+    
+    /**
+     * Advance the simulation by one step
+     * @param {number} dt - Step duration in seconds
+     * @param {Object} inputs - Per-paddle input: { left, right }, each { move, serve } or { targetY, serve }, or null for the built-in AI
+     * @returns {Array} Events that happened during this step
+     */
+    step(dt, inputs = {}) {
+        this.events = [];
+        
+        // Nothing moves once the match is decided
+        if (this.matchOver) return this.events;
+        
+        // Advance the simulation clock
+        this.time += dt * 1000;
+        
+        // Check the match time limit
+        const timeOutcome = this.rules.update(this.time);
+        if (timeOutcome) {
+            this.emit('matchOver', { winner: timeOutcome.winner });
+            return this.events;
+        }
+        
+        // Update parameters with chaos
+        this.params = this.chaosController.update(this.time, dt);
+        
+        // Field boundaries for this step
+        const field = getFieldOffset(this.bounds, this.params);
+        
+        // Update paddle dimensions to reflect chaos changes and handicaps
+        this.paddleLeft.gameParams = this.getPaddleParams('left');
+        this.paddleRight.gameParams = this.getPaddleParams('right');
+        this.paddleLeft.updateDimensions();
+        this.paddleRight.updateDimensions();
+        
+        // Update paddle positions based on current field dimensions
+        this.paddleLeft.x = field.x + 10;
+        this.paddleRight.x = field.x + field.width - 10 - this.paddleRight.width;
+        
+        // Ensure paddles stay within vertical field boundaries
+        this.paddleLeft.y = Math.max(field.y, Math.min(field.y + field.height - this.paddleLeft.height, this.paddleLeft.y));
+        this.paddleRight.y = Math.max(field.y, Math.min(field.y + field.height - this.paddleRight.height, this.paddleRight.y));
+        
+        // Update paddles (player input or AI); while paddles are swapped, each side steers the other paddle
+        const swapped = this.params.swapPaddles;
+        this.updatePaddle(this.paddleLeft, swapped ? inputs.right : inputs.left, dt);
+        this.updatePaddle(this.paddleRight, swapped ? inputs.left : inputs.right, dt);
+        
+        // Count down (or wait for) the current serve
+        this.updateServe(dt, inputs);
+        
+        // Update all balls - pass simulation time for reset delay
+        for (let i = 0; i < this.balls.length; i++) {
+            // Ensure each ball has the latest parameters
+            // This is crucial for colors and other visual effects
+            this.balls[i].gameParams = {...this.params};
+            
+            // Update ball size
+            this.balls[i].updateSize();
+            
+            // Update ball position
+            this.balls[i].update(
+                this.time,
+                dt,
+                this.paddleLeft,
+                this.paddleRight,
+                this.createMultiball.bind(this)
+            );
+        }
+        
+        // Let balls knock each other off course
+        if (this.ballCollisions) {
+            this.handleBallCollisions();
+        }
+        
+        // Remove any balls that need to be removed
+        this.balls = this.balls.filter(ball => !ball.needsRemoval);
+        
+        // Add a new ball if all balls are gone
+        if (this.balls.length === 0) {
+            const ball = this.createBall();
+            this.balls.push(ball);
+            
+            // Serve the replacement instead of the ball that left
+            if (this.pendingServe) {
+                this.pendingServe.ball = ball;
+            }
+        }
+        
+        // Put the ball that was just scored on the server's paddle
+        if (this.pendingServe) {
+            const { ball, conceded } = this.pendingServe;
+            this.pendingServe = null;
+            
+            if (this.balls.includes(ball)) {
+                this.startServe(ball, this.serve.getNextServer(conceded));
+            }
+        }
+        
+        // Handle multiball feature when it first activates
+        if (this.params.multiball && !this.multiballActive && this.balls.length < this.maxBalls) {
+            // Mark that we've activated multiball mode
+            this.multiballActive = true;
+            
+            // Create all 5 balls in a row with a slight delay between each
+            this.createMultiballSequence();
+        } else if (!this.params.multiball) {
+            // Reset multiball active flag when multiball is off
+            this.multiballActive = false;
+            
+            // If multiball is off and we have more than 1 ball, flag extra balls for removal when scored
+            for (let i = 0; i < this.balls.length; i++) {
+                if (i > 0) { // Keep the first ball
+                    this.balls[i].shouldRespawn = false;
+                }
+            }
+        }
+        
+        // Spawn any pending balls from an active multiball sequence
+        this.updateMultiballSequence();
+        
+        return this.events;
+    }
+    
+    /**
+     * Move a paddle from player input, or with the built-in AI when there is none
+     * @param {Paddle} paddle - Paddle to move
+     * @param {Object|null} input - Controller intent ({ move } or { targetY }) or null for AI
+     * @param {number} dt - Step duration in seconds
+     */
+    updatePaddle(paddle, input, dt) {
+        const side = paddle.isLeft ? 'left' : 'right';
+        const ai = this.ai[side];
+        const paddleInput = this.paddleInputs[side];
+        
+        const params = paddle.gameParams; // This paddle's own size and speed
+        
+        // Frozen paddles don't move at all, whoever controls them
+        if (this.params.freezePaddles) {
+            paddle.update(0, this.bounds, dt, params);
+            return;
+        }
+        
+        if (input) {
+            const field = getFieldOffset(this.bounds, params);
+            paddle.update(paddleInput.read(input, paddle, field, params, dt), this.bounds, dt, params);
+            
+            // The AI starts from scratch if it gets the paddle back
+            if (ai.targetY !== null) ai.reset();
+        } else {
+            // So does the next controller, without lagged intents or momentum from this one
+            if (paddleInput.isActive()) paddleInput.reset();
+            
+            const settled = this.getPaddleParams(side, this.chaosController.getSettledParams());
+            const targetY = ai.update(paddle, this.balls, this.bounds, params, settled, dt);
+            paddle.updateAI(targetY, this.bounds, dt, params, ai.config.speed);
+        }
+    }
+    
+    /**
+     * Bounce every pair of touching balls off each other
+     */
+    handleBallCollisions() {
+        // Balls waiting to be served and balls already scored stay out of it
+        const active = this.balls.filter(ball => ball.lastScoreTime === 0 && !ball.heldBy && !ball.needsRemoval);
+        
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                if (active[i].collideWithBall(active[j])) {
+                    this.emit('ballHit', { ball: active[i], other: active[j] });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Hold a ball on a paddle and start the serve countdown
+     * @param {Ball} ball - Ball to serve
+     * @param {string} side - Serving side (left/right)
+     */
+    startServe(ball, side) {
+        ball.hold(side === 'left' ? this.paddleLeft : this.paddleRight);
+        this.serve.start(ball, side);
+        this.emit('serveStart', { side });
+    }
+    
+    /**
+     * Advance the serve countdown and launch the ball when it is time
+     * @param {number} dt - Step duration in seconds
+     * @param {Object} inputs - Per-paddle input (see step)
+     */
+    updateServe(dt, inputs) {
+        const serve = this.serve;
+        if (!serve.isActive()) return;
+        
+        // The held ball may have been removed (e.g. multiball ended)
+        if (!this.balls.includes(serve.ball)) {
+            serve.ball.heldBy = null;
+            serve.clear();
+            return;
+        }
+        
+        if (serve.update(dt, inputs[serve.side] || null)) {
+            // Serve towards the receiver at the current (chaos-driven) ball speed
+            const direction = serve.side === 'left' ? 1 : -1;
+            const angle = this.rng.range(-Math.PI / 6, Math.PI / 6);
+            serve.ball.launch(direction, this.params.ballSpeed, angle);
+            
+            // A new rally starts, for chaos that escalates during rallies
+            this.chaosController.startRally(this.time);
+            
+            this.emit('serve', { side: serve.side, ball: serve.ball });
+            serve.clear();
+        }
+    }
+    
+    /**
+     * Update the score
+     * @param {string} side - Which side scored (left/right)
+     * @param {Ball} ball - Ball that left the field
+     */
+    updateScore(side, ball) {
+        // Ignore balls that leave the field after the match was decided
+        if (this.matchOver) return;
+        
+        const outcome = this.rules.awardPoint(side);
+        
+        // The scoring ball (or its replacement) is served next, unless another serve is already under way
+        if (!outcome.matchOver && ball && !this.serve.isActive() && !this.pendingServe) {
+            this.pendingServe = { ball, conceded: side === 'left' ? 'right' : 'left' };
+        }
+        
+        this.emit('score', { side, leftScore: this.leftScore, rightScore: this.rightScore });
+        
+        if (outcome.matchOver) {
+            this.emit('matchOver', { winner: outcome.winner });
+        } else if (outcome.setWinner) {
+            this.emit('setWon', { side: outcome.setWinner, sets: { ...this.rules.sets } });
+        }
+    }
+    
+    /**
+     * Create a new multiball
+     * @param {Ball} sourceBall - Source ball for new ball
+     */
+    createMultiball(sourceBall) {
+        // Prevent adding balls if we already have the maximum
+        if (this.balls.length >= this.maxBalls) return;
+        
+        // Check if multiball feature is even enabled
+        if (!this.params.multiball) return;
+        
+        // Enforce a minimum delay of 500ms between multiballs
+        if (this.time - this.lastMultiballTime < 500) {
+            return;
+        }
+        
+        // Create a new ball with random velocity based on source ball
+        const newBall = this.createBall({
+            x: sourceBall.x,
+            y: sourceBall.y,
+            dx: -sourceBall.dx * this.rng.range(0.8, 1.2), // Slightly randomize speed
+            dy: sourceBall.dy * this.rng.sign() * this.rng.range(0.8, 1.2)
+        });
+        newBall.rallyHits = sourceBall.rallyHits; // Carry on up the same speed ramp
+        
+        this.balls.push(newBall);
+        this.lastMultiballTime = this.time;
+        
+        this.emit('multiball', { ball: newBall });
+    }
+    
+    /**
+     * Create a sequence of multiple balls for multiball mode
+     */
+    createMultiballSequence() {
+        // Replace any existing sequence; balls are spawned from updateMultiballSequence
+        this.multiballSequence = {
+            remaining: this.maxBalls - this.balls.length,
+            nextSpawnTime: this.time + 300
+        };
+    }
+    
+    /**
+     * Spawn the next ball of an active multiball sequence when it is due
+     */
+    updateMultiballSequence() {
+        const sequence = this.multiballSequence;
+        if (!sequence || this.time < sequence.nextSpawnTime) return;
+        
+        if (sequence.remaining <= 0 || !this.params.multiball || this.balls.length >= this.maxBalls) {
+            this.multiballSequence = null;
+            return;
+        }
+        
+        // Create a new ball from the center with random angle
+        const field = getFieldOffset(this.bounds, this.params);
+        const angle = this.rng.range(0, Math.PI * 2); // Random direction in 360 degrees
+        
+        const newBall = this.createBall({
+            x: field.x + field.width / 2,
+            y: field.y + field.height / 2,
+            dx: Math.cos(angle) * this.params.ballSpeed,
+            dy: Math.sin(angle) * this.params.ballSpeed
+        });
+        
+        this.balls.push(newBall);
+        sequence.remaining--;
+        
+        // Create a new ball every 300ms of simulation time
+        sequence.nextSpawnTime += 300;
+        
+        this.emit('multiballSpawn', { ball: newBall });
+    }
+}
@@ -54,9 +54,10 @@ export class SoundManager {
      * Generate and load sounds
      */
     loadSounds() {
-        // Generate only the paddle hit sound effect (remove all others)
+        // Generate the paddle and ball-to-ball hit sound effects
         this.sounds = {
             paddle: this.create8BitSound('square', 200, 0.1, 0.05, 0.01, 0.01),
+            ball: this.create8BitSound('triangle', 440, 0.06, 0.01, 0.01, 0.01)
         };
         
         // No background music
@@ -253,8 +254,8 @@ export class SoundManager {
      * @param {string} soundName - Name of the sound to play
      */
     playSound(soundName) {
-        // Only play the paddle hit sound
-        if (soundName !== 'paddle' || this.isMuted || !this.audioContext || !this.sounds.paddle) return;
+        const sound = this.sounds[soundName];
+        if (!sound || this.isMuted || !this.audioContext) return;
         
         // Resume audio context if suspended (browsers require user interaction)
         if (this.audioContext.state === 'suspended') {
@@ -263,7 +264,7 @@ export class SoundManager {
         
         // Create source and connect to gain node
         const source = this.audioContext.createBufferSource();
-        source.buffer = this.sounds.paddle;
+        source.buffer = sound;
         source.connect(this.sfxGainNode);
         
         // Play sound
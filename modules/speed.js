@@ -0,0 +1,84 @@
+// Ball speed model for Crazy Pong game
+
+// Default speed settings (speeds in pixels per second)
+export const DEFAULT_SPEED = {
+    ramp: 'exponential', // How paddle hits speed the ball up: 'linear', 'exponential' or 'stepped'
+    increase: 0.1, // Speed-up per hit (per step for 'stepped') as a fraction of the chaos ballSpeed baseline
+    hitsPerStep: 3, // Hits needed for each step of the 'stepped' ramp
+    maxSpeed: 1200, // Hard speed cap (0 = no cap)
+    decay: 0.1 // Fraction of the gap to the baseline speed closed per second (0 = keep the speed)
+};
+
+/**
+ * SpeedModel class - decides how fast the ball goes during a rally
+ */
+export class SpeedModel {
+    /**
+     * Create a speed model
+     * @param {Object} config - Overrides for DEFAULT_SPEED
+     */
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_SPEED, ...config };
+    }
+    
+    /**
+     * Change the speed settings
+     * @param {Object} config - Overrides for the current config
+     */
+    configure(config) {
+        this.config = { ...this.config, ...config };
+    }
+    
+    /**
+     * Get how much faster than the baseline the ball goes after a number of hits
+     * @param {number} hits - Paddle hits since the serve
+     * @returns {number} Speed multiplier
+     */
+    getRampFactor(hits) {
+        const { ramp, increase, hitsPerStep } = this.config;
+        
+        switch (ramp) {
+            case 'linear':
+                return 1 + increase * hits;
+            case 'stepped':
+                return 1 + increase * Math.floor(hits / Math.max(1, hitsPerStep));
+            default:
+                return Math.pow(1 + increase, hits);
+        }
+    }
+    
+    /**
+     * Get the ball speed right after a paddle hit
+     * @param {number} baseline - Chaos-driven ballSpeed
+     * @param {number} hits - Paddle hits since the serve, including this one
+     * @returns {number} Speed in pixels per second
+     */
+    getHitSpeed(baseline, hits) {
+        return this.capSpeed(baseline * this.getRampFactor(hits));
+    }
+    
+    /**
+     * Apply the speed cap
+     * @param {number} speed - Speed in pixels per second
+     * @returns {number} Capped speed
+     */
+    capSpeed(speed) {
+        const maxSpeed = this.config.maxSpeed;
+        return maxSpeed > 0 ? Math.min(speed, maxSpeed) : speed;
+    }
+    
+    /**
+     * Ease a ball's speed back toward the baseline between hits
+     * @param {number} speed - Current speed in pixels per second
+     * @param {number} baseline - Chaos-driven ballSpeed
+     * @param {number} dt - Step duration in seconds
+     * @returns {number} New speed
+     */
+    update(speed, baseline, dt) {
+        const decay = this.config.decay;
+        if (decay > 0) {
+            speed += (baseline - speed) * (1 - Math.pow(1 - Math.min(decay, 1), dt));
+        }
+        return this.capSpeed(speed);
+    }
+}
@@ -0,0 +1,724 @@
+// Game states for Crazy Pong game
+import { ReplayPlayer } from './replay.js';
+
+// Playback speeds offered by the replay viewer
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Show or hide a full-screen DOM overlay
+ * @param {string} id - Element id of the screen
+ * @param {boolean} visible - Whether the screen should be shown
+ */
+function setScreenVisible(id, visible) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.classList.toggle('hidden', !visible);
+    }
+}
+
+/**
+ * Draw large centered text over the field
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in world units)
+ * @param {Object} bounds - World bounds ({width, height})
+ * @param {string} text - Main text
+ * @param {string} subtitle - Smaller text below the main text (optional)
+ */
+function drawCenteredText(ctx, bounds, text, subtitle = '') {
+    ctx.save();
+    
+    // Dim the field behind the text
+    ctx.fillStyle = 'rgba(10, 10, 18, 0.5)';
+    ctx.fillRect(0, 0, bounds.width, bounds.height);
+    
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = '#ff00ff';
+    ctx.shadowBlur = 20;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = "900 96px 'Orbitron', sans-serif";
+    ctx.fillText(text, bounds.width / 2, bounds.height / 2);
+    
+    if (subtitle) {
+        ctx.shadowColor = '#00ffff';
+        ctx.font = "500 20px 'Orbitron', sans-serif";
+        ctx.fillText(subtitle, bounds.width / 2, bounds.height / 2 + 80);
+    }
+    
+    ctx.restore();
+}
+
+/**
+ * Draw a small label at the top of the field
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (in world units)
+ * @param {Object} bounds - World bounds ({width, height})
+ * @param {string} text - Label text
+ * @param {string} subtitle - Smaller text below the label (optional)
+ */
+function drawTopLabel(ctx, bounds, text, subtitle = '') {
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.shadowColor = '#ff00ff';
+    ctx.shadowBlur = 10;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = "700 20px 'Orbitron', sans-serif";
+    ctx.fillText(text, bounds.width / 2, 12);
+    
+    if (subtitle) {
+        ctx.shadowColor = '#00ffff';
+        ctx.font = "500 12px 'Orbitron', sans-serif";
+        ctx.fillText(subtitle, bounds.width / 2, 40);
+    }
+    
+    ctx.restore();
+}
+
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Time as m:ss
+ */
+function formatTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Base game state - every state gets its own input handling and rendering
+ */
+export class GameState {
+    /**
+     * Create a new state
+     * @param {Game} game - Game instance
+     */
+    constructor(game) {
+        this.game = game;
+    }
+    
+    /**
+     * Called when the state becomes active
+     * @param {Object} data - Data passed to StateMachine.change
+     */
+    enter(data) {}
+    
+    /**
+     * Called when the state is left
+     */
+    exit() {}
+    
+    /**
+     * Handle a key press
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {}
+    
+    /**
+     * Handle a tap or click on the field
+     */
+    handleTap() {}
+    
+    /**
+     * Called when the simulation reports the end of a match
+     * @param {string|null} winner - Winning side, or null for a draw
+     */
+    handleMatchOver(winner) {}
+    
+    /**
+     * Called when a point is scored
+     * @param {string} side - Side that scored (left/right)
+     */
+    handleScore(side) {}
+    
+    /**
+     * Advance the state by one fixed step
+     * @param {number} dt - Step duration in seconds
+     */
+    update(dt) {}
+    
+    /**
+     * Choose how far to interpolate between the last two simulation ticks
+     * @param {number} alpha - Fraction of a fixed step left over in the accumulator (0-1)
+     * @returns {number} Interpolation factor for rendering (0-1)
+     */
+    getRenderAlpha(alpha) {
+        return alpha;
+    }
+    
+    /**
+     * Choose what to draw instead of the live simulation
+     * @returns {Object|null} Scene shaped like the simulation ({ bounds, params, paddleLeft, paddleRight, balls }), or null for the live simulation
+     */
+    getScene() {
+        return null;
+    }
+    
+    /**
+     * Draw state-specific overlays on top of the field
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (in world units)
+     */
+    render(ctx) {}
+}
+
+/**
+ * Title state - menu over an AI vs AI attract match
+ */
+export class TitleState extends GameState {
+    enter() {
+        // Run an AI vs AI match behind the menu (reset hands both paddles to the AI or a loaded bot)
+        this.game.stopRecording();
+        this.game.reset();
+        setScreenVisible('titleScreen', true);
+    }
+    
+    exit() {
+        setScreenVisible('titleScreen', false);
+    }
+    
+    handleKeyDown(e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+            this.game.startMatch();
+        } else if (this.game.isMovementKey(e)) {
+            // Jump straight in with a movement key
+            this.game.startMatch();
+            this.game.handleMovementKeyDown(e);
+        }
+    }
+    
+    handleTap() {
+        this.game.startMatch();
+    }
+    
+    handleMatchOver() {
+        // Keep the attract match going forever
+        this.game.reset();
+    }
+    
+    update(dt) {
+        this.game.update(dt);
+    }
+}
+
+/**
+ * Controls state - key bindings screen over the attract match
+ */
+export class ControlsState extends GameState {
+    enter() {
+        this.pending = null; // Binding waiting for a key press ({ side, action })
+        this.game.updateControlsScreen();
+        setScreenVisible('controlsScreen', true);
+    }
+    
+    exit() {
+        this.pending = null;
+        setScreenVisible('controlsScreen', false);
+    }
+    
+    /**
+     * Wait for the next key press to bind it to an action
+     * @param {string} side - Paddle side (left/right)
+     * @param {string} action - Action to rebind (up, down, serve, pause)
+     */
+    listen(side, action) {
+        this.pending = { side, action };
+        this.game.updateControlsScreen('Press the new key, or Esc to cancel');
+    }
+    
+    handleKeyDown(e) {
+        if (!this.pending) {
+            if (e.key === 'Escape') {
+                this.game.stateMachine.change('title');
+            }
+            return;
+        }
+        
+        // The key press belongs to the binding, not to a focused button
+        e.preventDefault();
+        const { side, action } = this.pending;
+        this.pending = null;
+        
+        if (e.code === 'Escape') {
+            this.game.updateControlsScreen();
+            return;
+        }
+        
+        const game = this.game;
+        let moved;
+        try {
+            moved = game.bindings.bind(side, action, e.code);
+        } catch (error) {
+            game.updateControlsScreen(error.message);
+            return;
+        }
+        
+        // Say where a clashing binding went, so it doesn't go missing silently
+        if (moved.length > 0) {
+            const oldKey = game.describeKey(game.bindings.get(moved[0].side, moved[0].action));
+            const names = moved.map(binding => `${binding.side} ${binding.action}`).join(' and ');
+            game.updateControlsScreen(`${game.describeKey(e.code)} was taken, so ${names} moved to ${oldKey}`);
+        } else {
+            game.updateControlsScreen();
+        }
+    }
+    
+    handleMatchOver() {
+        // Keep the attract match going
+        this.game.reset();
+    }
+    
+    update(dt) {
+        // Keep the attract match running behind the screen
+        this.game.update(dt);
+    }
+}
+
+/**
+ * Countdown state - frozen field with 3-2-1 before play starts
+ */
+export class CountdownState extends GameState {
+    enter() {
+        this.remaining = 3; // Seconds left in the countdown
+    }
+    
+    handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            this.game.stateMachine.change('title');
+            return;
+        }
+        
+        // Players may grab a paddle before the ball is released
+        this.game.handleMovementKeyDown(e);
+    }
+    
+    update(dt) {
+        this.remaining -= dt;
+        if (this.remaining <= 0) {
+            this.game.stateMachine.change('playing');
+        }
+    }
+    
+    render(ctx) {
+        drawCenteredText(ctx, this.game.simulation.bounds, String(Math.ceil(this.remaining)), 'GET READY');
+    }
+}
+
+/**
+ * Playing state - the simulation runs and paddles take input
+ */
+export class PlayingState extends GameState {
+    handleKeyDown(e) {
+        if (this.game.isPauseKey(e)) {
+            this.game.stateMachine.change('paused');
+            return;
+        }
+        
+        if (this.game.handleServeKeyDown(e)) return;
+        
+        this.game.handleMovementKeyDown(e);
+    }
+    
+    handleMatchOver(winner) {
+        this.game.stateMachine.change('results', { winner });
+    }
+    
+    handleScore(side) {
+        if (this.game.instantReplayEnabled) {
+            this.game.stateMachine.change('instantReplay', { frames: this.game.instantReplay.getFrames(), side });
+        }
+    }
+    
+    update(dt) {
+        this.game.update(dt);
+    }
+}
+
+/**
+ * Instant replay state - slow-motion replay of the seconds before a point
+ */
+export class InstantReplayState extends GameState {
+    enter(data = {}) {
+        this.frames = data.frames || [];
+        this.side = data.side;
+        this.position = 0; // Fractional index into frames
+        this.speed = 0.5; // Frames played per simulation step (slow motion)
+        this.matchResult = null; // Set when the point also ended the match
+        
+        this.game.releaseKeys();
+        this.game.shakeAmount = 0;
+    }
+    
+    handleKeyDown(e) {
+        if (e.key === ' ' || e.key === 'Enter' || e.key === 'Escape') {
+            e.preventDefault();
+            this.finish();
+        }
+    }
+    
+    handleTap() {
+        this.finish();
+    }
+    
+    handleMatchOver(winner) {
+        // Show the winning point first, then the results
+        this.matchResult = { winner };
+    }
+    
+    /**
+     * End the replay and carry on with the match (or its results)
+     */
+    finish() {
+        if (this.matchResult) {
+            this.game.stateMachine.change('results', this.matchResult);
+        } else {
+            this.game.stateMachine.change('playing');
+        }
+    }
+    
+    update(dt) {
+        this.position += this.speed;
+        if (this.position >= this.frames.length - 1) {
+            this.finish();
+        }
+    }
+    
+    getRenderAlpha(alpha) {
+        return Math.min(1, this.position % 1 + alpha * this.speed);
+    }
+    
+    getScene() {
+        // Each frame interpolates from the one before it, like a live tick
+        const index = Math.min(this.frames.length - 1, Math.floor(this.position) + 1);
+        return this.frames[index] || null;
+    }
+    
+    render(ctx) {
+        const scorer = this.game.getPlayerTitle(this.side);
+        drawTopLabel(ctx, this.game.simulation.bounds, 'REPLAY', `${this.side.toUpperCase()} ${scorer} SCORES · SPACE / TAP TO SKIP`);
+    }
+}
+
+/**
+ * Paused state - the simulation clock stops, so chaos timers freeze too
+ */
+export class PausedState extends GameState {
+    enter() {
+        // Release held keys so paddles don't keep moving after resume
+        this.game.releaseKeys();
+    }
+    
+    handleKeyDown(e) {
+        if (this.game.isPauseKey(e) || e.key === ' ') {
+            this.game.stateMachine.change('playing');
+        } else if (e.key.toLowerCase() === 'q') {
+            this.game.stateMachine.change('title');
+        } else if (e.key.toLowerCase() === 'e') {
+            // Save the match so far, e.g. to attach to a bug report
+            this.game.exportRecording(this.game.recorder.recording);
+        }
+    }
+    
+    handleTap() {
+        this.game.stateMachine.change('playing');
+    }
+    
+    render(ctx) {
+        const pauseKeys = this.game.describeAction('pause').toUpperCase();
+        drawCenteredText(ctx, this.game.simulation.bounds, 'PAUSED', `${pauseKeys} / ESC / TAP TO RESUME · Q TO QUIT · E TO SAVE REPLAY`);
+    }
+}
+
+/**
+ * Results state - winner screen with a rematch option
+ */
+export class ResultsState extends GameState {
+    enter(data = {}) {
+        this.game.releaseKeys();
+        this.game.stopRecording();
+        this.game.showGameOver(data.winner);
+    }
+    
+    exit() {
+        this.game.hideGameOver();
+    }
+    
+    handleKeyDown(e) {
+        if (e.key === 'Enter' || e.key.toLowerCase() === 'r') {
+            this.game.startMatch();
+        } else if (e.key === 'Escape') {
+            this.game.stateMachine.change('title');
+        } else if (e.key.toLowerCase() === 'v') {
+            this.game.watchReplay();
+        }
+    }
+    
+    handleTap() {
+        // Gamepad A / Start asks for a rematch
+        this.game.startMatch();
+    }
+}
+
+/**
+ * Replay state - plays back a recorded match with play, pause, seek, speed and frame stepping
+ */
+export class ReplayState extends GameState {
+    enter(data = {}) {
+        const game = this.game;
+        const recording = data.recording;
+        
+        // The replay drives the game's own simulation; remember its settings for exit()
+        this.savedConfig = game.simulation.getConfig();
+        this.player = new ReplayPlayer(game.simulation, recording);
+        this.playing = true;
+        this.speedIndex = REPLAY_SPEEDS.indexOf(1);
+        this.pending = 0; // Fraction of a tick waiting to be played at the current speed
+        this.shownTick = -1;
+        
+        // A side that never had player input was played by the AI
+        game.releaseKeys();
+        const playedBy = side => recording.inputs[side].every(run => run[1] === null) ? 'AI' : 'Human';
+        game.shakeAmount = 0;
+        game.updatePlayerLabels(recording.players || { left: playedBy('left'), right: playedBy('right') });
+        this.refreshHUD();
+        
+        setScreenVisible('replayControls', true);
+        this.updateControls();
+    }
+    
+    exit() {
+        setScreenVisible('replayControls', false);
+        this.player = null;
+        
+        // Put back the settings the replay overrode
+        this.game.simulation.configure(this.savedConfig);
+    }
+    
+    /**
+     * Current playback speed
+     * @returns {number} Speed multiplier
+     */
+    get speed() {
+        return REPLAY_SPEEDS[this.speedIndex];
+    }
+    
+    handleKeyDown(e) {
+        switch (e.key) {
+            case ' ':
+            case 'k':
+                e.preventDefault();
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.stepFrame(-1);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.stepFrame(1);
+                break;
+            case 'ArrowUp':
+            case '+':
+                e.preventDefault();
+                this.setSpeedIndex(this.speedIndex + 1);
+                break;
+            case 'ArrowDown':
+            case '-':
+                e.preventDefault();
+                this.setSpeedIndex(this.speedIndex - 1);
+                break;
+            case 'Home':
+                this.seek(0);
+                break;
+            case 'Escape':
+                this.game.stateMachine.change('title');
+                break;
+        }
+    }
+    
+    handleTap() {
+        this.togglePlay();
+    }
+    
+    /**
+     * Play or pause the replay; playing from the end starts over
+     */
+    togglePlay() {
+        if (!this.playing && this.player.isFinished()) {
+            this.seek(0);
+        }
+        this.playing = !this.playing;
+        this.pending = 0;
+        this.updateControls();
+    }
+    
+    /**
+     * Change the playback speed
+     * @param {number} index - Index into REPLAY_SPEEDS (clamped)
+     */
+    setSpeedIndex(index) {
+        this.speedIndex = Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, index));
+        this.updateControls();
+    }
+    
+    /**
+     * Change the playback speed to a specific value
+     * @param {number} speed - Speed multiplier (one of REPLAY_SPEEDS)
+     */
+    setSpeed(speed) {
+        const index = REPLAY_SPEEDS.indexOf(speed);
+        if (index !== -1) {
+            this.setSpeedIndex(index);
+        }
+    }
+    
+    /**
+     * Pause and move a single tick forwards or backwards
+     * @param {number} direction - 1 for the next tick, -1 for the previous one
+     */
+    stepFrame(direction) {
+        this.playing = false;
+        this.pending = 0;
+        
+        if (direction > 0) {
+            this.playTick();
+        } else {
+            this.seek(this.player.tick - 1);
+        }
+        this.updateControls();
+    }
+    
+    /**
+     * Jump to a tick of the recording
+     * @param {number} tick - Target tick
+     */
+    seek(tick) {
+        this.player.seek(tick);
+        this.game.shakeAmount = 0;
+        this.refreshHUD();
+        this.updateControls();
+    }
+    
+    /**
+     * Play one recorded tick and let the game react to its events
+     */
+    playTick() {
+        const events = this.player.step();
+        if (events) {
+            this.game.processStep(events, this.player.recording.timestep);
+        }
+    }
+    
+    update(dt) {
+        if (!this.playing) return;
+        
+        // Slow speeds play a tick every few updates, fast speeds several per update
+        this.pending += this.speed;
+        while (this.pending >= 1) {
+            this.pending -= 1;
+            this.playTick();
+            
+            if (this.player.isFinished()) {
+                this.playing = false;
+                this.pending = 0;
+                break;
+            }
+        }
+        
+        this.updateControls();
+    }
+    
+    getRenderAlpha(alpha) {
+        if (!this.playing) return 1;
+        
+        // Below 1x, interpolate across the updates that fall between two ticks
+        if (this.speed < 1) {
+            return Math.min(1, this.pending + alpha * this.speed);
+        }
+        return alpha;
+    }
+    
+    /**
+     * Refresh the score, match info and warnings after a jump in time
+     */
+    refreshHUD() {
+        this.game.updateScoreDisplay();
+        this.game.updateMatchInfo();
+        this.game.updateSeedDisplay();
+        this.game.updateWarnings();
+    }
+    
+    /**
+     * Sync the replay control bar with the playback position
+     */
+    updateControls() {
+        const player = this.player;
+        const timestep = player.recording.timestep;
+        
+        const playButton = document.getElementById('replayPlayButton');
+        if (playButton) {
+            playButton.textContent = this.playing ? '❚❚' : '▶';
+        }
+        
+        const speedSelect = document.getElementById('replaySpeedSelect');
+        if (speedSelect) {
+            speedSelect.value = String(this.speed);
+        }
+        
+        // Only touch the seek bar and clock when the position changes
+        if (player.tick === this.shownTick) return;
+        this.shownTick = player.tick;
+        
+        const seekBar = document.getElementById('replaySeek');
+        if (seekBar) {
+            seekBar.max = String(player.recording.ticks);
+            seekBar.value = String(player.tick);
+        }
+        
+        const timeElement = document.getElementById('replayTime');
+        if (timeElement) {
+            timeElement.textContent = `${formatTime(player.tick * timestep)} / ${formatTime(player.recording.ticks * timestep)}`;
+        }
+    }
+    
+    render(ctx) {
+        const label = this.player.isFinished() ? 'REPLAY · END' : `REPLAY · ${this.speed}x`;
+        drawTopLabel(ctx, this.game.simulation.bounds, label);
+    }
+}
+
+/**
+ * Simple finite state machine for the game flow
+ */
+export class StateMachine {
+    /**
+     * Create a state machine
+     * @param {Object} states - Map of state name to GameState instance
+     */
+    constructor(states) {
+        this.states = states;
+        this.current = null;
+        this.currentName = null;
+    }
+    
+    /**
+     * Switch to another state
+     * @param {string} name - Name of the state to enter
+     * @param {Object} data - Data passed to the new state's enter()
+     */
+    change(name, data = {}) {
+        if (this.current) {
+            this.current.exit();
+        }
+        
+        this.currentName = name;
+        this.current = this.states[name];
+        this.current.enter(data);
+    }
+    
+    /**
+     * Check the name of the active state
+     * @param {string} name - State name
+     * @returns {boolean} Whether that state is active
+     */
+    is(name) {
+        return this.currentName === name;
+    }
+}
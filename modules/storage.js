@@ -0,0 +1,51 @@
+// Saved settings for Crazy Pong game
+// Key bindings and imported chaos profiles are kept between visits as JSON in localStorage.
+// Storage can be missing or refuse access (private browsing, blocked cookies); the game then
+// keeps its settings until the page closes.
+
+/**
+ * Get the browser's local storage, if the page may use it
+ * @returns {Storage|null} localStorage, or null when it is blocked
+ */
+export function getStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read a saved value
+ * @param {Storage|null} storage - Where the value is saved
+ * @param {string} key - Storage key
+ * @param {string} what - What is being loaded, for the warning if it can't be read
+ * @returns {*} Saved value, or null if there is none or it can't be read
+ */
+export function loadSaved(storage, key, what) {
+    if (!storage) return null;
+    
+    try {
+        return JSON.parse(storage.getItem(key));
+    } catch (error) {
+        console.warn(`Could not load ${what}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Save a value, if there is somewhere to save it
+ * @param {Storage|null} storage - Where to save the value
+ * @param {string} key - Storage key
+ * @param {*} value - Value to save as JSON
+ * @param {string} what - What is being saved, for the warning if storage refuses it
+ */
+export function saveValue(storage, key, value, what) {
+    if (!storage) return;
+    
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.warn(`Could not save ${what}:`, error);
+    }
+}
@@ -0,0 +1,250 @@
+// Self-play tournaments for Crazy Pong
+// Plays headless matches between AI levels and bots under different chaos settings and collects statistics.
+// Uses no DOM or Node APIs; tools/tournament.mjs is the command line front end.
+import { Simulation } from './simulation.js';
+import { AIController, getControllerInputs } from './controllers.js';
+import { AI_LEVELS } from './ai.js';
+
+// Default tournament settings
+export const DEFAULT_TOURNAMENT = {
+    matches: 10, // Matches per pairing and chaos setting (the entrants swap sides every match)
+    seed: 1, // Match i of every pairing uses seed + i, so all pairings play the same seeds
+    timestep: 1 / 120, // Simulation step in seconds
+    maxDuration: 3600, // Seconds of play after which an unfinished match is stopped and counted as a draw
+    rules: { pointsToWin: 11, timeLimit: 300 }, // Match rules (see DEFAULT_RULES)
+    entrants: [ // Players: { name, ai } for a built-in AI level or settings, { name, controller } for a bot
+        { name: 'medium', ai: 'medium' },
+        { name: 'hard', ai: 'hard' }
+    ],
+    chaos: [{ name: 'default' }] // Chaos settings to play under (see DEFAULT_CHAOS), each with a name
+};
+
+// Built-in AI entrants all share one controller
+const AI_CONTROLLER = new AIController();
+
+/**
+ * Play one headless match
+ * @param {Object} options - Match settings
+ * @param {Object} options.left - Left entrant ({ name, ai } or { name, controller })
+ * @param {Object} options.right - Right entrant
+ * @param {number} options.seed - Match seed
+ * @param {Object} options.rules - Match rules
+ * @param {Object} options.chaos - Chaos settings
+ * @param {number} options.timestep - Simulation step in seconds
+ * @param {number} options.maxDuration - Seconds of play before the match is stopped
+ * @returns {Object} Result: { seed, players, winner, score, points, paddleHits, duration, finished }
+ */
+export function playMatch({ left, right, seed, rules, chaos, timestep = 1 / 120, maxDuration = 3600 }) {
+    const simulation = new Simulation({
+        seed,
+        rules,
+        chaos,
+        ai: { left: left.ai || {}, right: right.ai || {} }
+    });
+    const controllers = {
+        left: left.controller || AI_CONTROLLER,
+        right: right.controller || AI_CONTROLLER
+    };
+    controllers.left.reset();
+    controllers.right.reset();
+    
+    let points = 0;
+    let paddleHits = 0;
+    while (!simulation.matchOver && simulation.time < maxDuration * 1000) {
+        const events = simulation.step(timestep, getControllerInputs(simulation, controllers));
+        for (const event of events) {
+            if (event.type === 'score') points++;
+            if (event.type === 'paddleHit') paddleHits++;
+        }
+    }
+    
+    // Multi-set matches are scored in sets
+    const matchRules = simulation.rules;
+    const score = matchRules.config.bestOf > 1 ? { ...matchRules.sets } : { ...matchRules.points };
+    
+    return {
+        seed,
+        players: { left: left.name, right: right.name },
+        winner: simulation.matchOver ? matchRules.winner : null,
+        score,
+        points,
+        paddleHits,
+        duration: simulation.time / 1000,
+        finished: simulation.matchOver
+    };
+}
+
+/**
+ * Play every pair of entrants against each other under every chaos setting
+ * @param {Object} config - Overrides for DEFAULT_TOURNAMENT
+ * @param {Function} onMatch - Called after each match with (result, pairing) (optional)
+ * @returns {Object} Results: { settings, pairings, standings }
+ * @throws {Error} If the config can't produce a tournament
+ */
+export function runTournament(config = {}, onMatch = null) {
+    const settings = { ...DEFAULT_TOURNAMENT, ...config };
+    const { entrants, matches } = settings;
+    
+    if (!Array.isArray(entrants) || entrants.length < 2) {
+        throw new Error('A tournament needs at least two entrants');
+    }
+    const names = entrants.map(entrant => entrant.name);
+    if (new Set(names).size !== names.length || names.some(name => !name)) {
+        throw new Error('Every entrant needs a unique name');
+    }
+    // An AI is a level name, or settings that may name a level
+    const levelOf = entrant => (entrant.ai && typeof entrant.ai === 'object' ? entrant.ai.level : entrant.ai || undefined);
+    const unknown = entrants.find(entrant => levelOf(entrant) !== undefined && !Object.keys(AI_LEVELS).includes(levelOf(entrant)));
+    if (unknown) {
+        throw new Error(`Unknown AI level "${levelOf(unknown)}" (expected one of ${Object.keys(AI_LEVELS).join(', ')})`);
+    }
+    if (!(matches > 0)) {
+        throw new Error('matches must be at least 1');
+    }
+    
+    const standings = new Map(names.map(name => [name, { name, matches: 0, wins: 0, losses: 0, draws: 0 }]));
+    const pairings = [];
+    
+    for (const chaos of settings.chaos) {
+        for (let i = 0; i < entrants.length; i++) {
+            for (let j = i + 1; j < entrants.length; j++) {
+                const pairing = playPairing(entrants[i], entrants[j], chaos, settings, onMatch);
+                pairings.push(pairing);
+                
+                // Add the pairing to both entrants' overall records
+                for (const [self, other] of [[pairing.a, pairing.b], [pairing.b, pairing.a]]) {
+                    const record = standings.get(self);
+                    record.matches += pairing.matches;
+                    record.wins += pairing.wins[self];
+                    record.losses += pairing.wins[other];
+                    record.draws += pairing.draws;
+                }
+            }
+        }
+    }
+    
+    return {
+        settings: {
+            matches,
+            seed: settings.seed,
+            rules: settings.rules,
+            entrants: names,
+            chaos: settings.chaos.map(chaos => chaos.name)
+        },
+        pairings,
+        standings: [...standings.values()]
+            .map(record => ({ ...record, winRate: record.matches ? record.wins / record.matches : 0 }))
+            .sort((a, b) => b.winRate - a.winRate)
+    };
+}
+
+/**
+ * Play all matches between two entrants under one chaos setting
+ * @param {Object} a - First entrant (left in even matches)
+ * @param {Object} b - Second entrant
+ * @param {Object} chaos - Chaos settings, with a name
+ * @param {Object} settings - Tournament settings
+ * @param {Function} onMatch - Progress callback (optional)
+ * @returns {Object} Pairing statistics
+ */
+function playPairing(a, b, chaos, settings, onMatch) {
+    const { name: chaosName, ...chaosConfig } = chaos;
+    const pairing = {
+        chaos: chaosName,
+        a: a.name,
+        b: b.name,
+        matches: settings.matches,
+        wins: { [a.name]: 0, [b.name]: 0 },
+        draws: 0,
+        unfinished: 0,
+        winRate: {},
+        avgRally: 0, // Paddle hits per point
+        pointsPerMinute: 0,
+        scores: {} // How often each final score happened, from a's point of view ("11-7")
+    };
+    let points = 0;
+    let paddleHits = 0;
+    let duration = 0;
+    
+    for (let match = 0; match < settings.matches; match++) {
+        // Swap sides every match so neither entrant keeps the serve or side advantage
+        const aIsLeft = match % 2 === 0;
+        const result = playMatch({
+            left: aIsLeft ? a : b,
+            right: aIsLeft ? b : a,
+            seed: settings.seed + match,
+            rules: settings.rules,
+            chaos: chaosConfig,
+            timestep: settings.timestep,
+            maxDuration: settings.maxDuration
+        });
+        
+        const aSide = aIsLeft ? 'left' : 'right';
+        const bSide = aIsLeft ? 'right' : 'left';
+        if (result.winner) {
+            pairing.wins[result.winner === aSide ? a.name : b.name]++;
+        } else {
+            pairing.draws++;
+        }
+        if (!result.finished) {
+            pairing.unfinished++;
+        }
+        
+        const score = `${result.score[aSide]}-${result.score[bSide]}`;
+        pairing.scores[score] = (pairing.scores[score] || 0) + 1;
+        points += result.points;
+        paddleHits += result.paddleHits;
+        duration += result.duration;
+        
+        if (onMatch) {
+            onMatch(result, pairing);
+        }
+    }
+    
+    pairing.winRate = {
+        [a.name]: pairing.wins[a.name] / pairing.matches,
+        [b.name]: pairing.wins[b.name] / pairing.matches
+    };
+    pairing.avgRally = points ? paddleHits / points : 0;
+    pairing.pointsPerMinute = duration ? points / (duration / 60) : 0;
+    return pairing;
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn tournament results into CSV, one row per pairing and chaos setting
+ * @param {Object} results - Results from runTournament
+ * @returns {string} CSV text with a header row
+ */
+export function resultsToCSV(results) {
+    const header = ['chaos', 'a', 'b', 'matches', 'aWins', 'bWins', 'draws', 'aWinRate', 'bWinRate', 'avgRally', 'pointsPerMinute', 'scores'];
+    const rows = results.pairings.map(pairing => [
+        pairing.chaos,
+        pairing.a,
+        pairing.b,
+        pairing.matches,
+        pairing.wins[pairing.a],
+        pairing.wins[pairing.b],
+        pairing.draws,
+        pairing.winRate[pairing.a].toFixed(3),
+        pairing.winRate[pairing.b].toFixed(3),
+        pairing.avgRally.toFixed(2),
+        pairing.pointsPerMinute.toFixed(2),
+        // Score distribution as "11-7:3 11-9:2", most common first
+        Object.entries(pairing.scores)
+            .sort((x, y) => y[1] - x[1])
+            .map(([score, count]) => `${score}:${count}`)
+            .join(' ')
+    ]);
+    
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
@@ -1,19 +1,19 @@
 // Utility functions for Crazy Pong game
 
 /**
- * Get field offset based on canvas dimensions and parameters
- * @param {HTMLCanvasElement} canvas - The game canvas
+ * Get field offset based on world dimensions and parameters
+ * @param {Object} bounds - World bounds ({width, height})
  * @param {Object} gameParams - Game parameters
  * @returns {Object} Field boundaries
  */
-export function getFieldOffset(canvas, gameParams) {
+export function getFieldOffset(bounds, gameParams) {
     // Use gameParams field size for dynamic sizing
-    const fieldWidth = canvas.width * gameParams.fieldWidth;
-    const fieldHeight = canvas.height * gameParams.fieldHeight;
+    const fieldWidth = bounds.width * gameParams.fieldWidth;
+    const fieldHeight = bounds.height * gameParams.fieldHeight;
     
-    // Center the field in the canvas
-    const offsetX = (canvas.width - fieldWidth) / 2;
-    const offsetY = (canvas.height - fieldHeight) / 2;
+    // Center the field in the world
+    const offsetX = (bounds.width - fieldWidth) / 2;
+    const offsetY = (bounds.height - fieldHeight) / 2;
     
     return {
         x: offsetX,
@@ -25,13 +25,14 @@ export function getFieldOffset(canvas, gameParams) {
 
 /**
  * Generate a random color
+ * @param {Random} rng - Seeded random number generator
  * @returns {string} Hex color code
  */
-export function getRandomColor() {
+export function getRandomColor(rng) {
     const letters = '0123456789ABCDEF';
     let color = '#';
     for (let i = 0; i < 6; i++) {
-        color += letters[Math.floor(Math.random() * 16)];
+        color += letters[rng.int(16)];
     }
     return color;
 }
@@ -70,6 +71,17 @@ export function lerp(start, end, t) {
     return start + (end - start) * t;
 }
 
+/**
+ * Convert a per-frame blend factor (tuned at 60 fps) to the equivalent factor
+ * for an arbitrary time step, so exponential smoothing is frame-rate independent
+ * @param {number} factor - Blend factor applied once per 60 fps frame (0-1)
+ * @param {number} dt - Time step in seconds
+ * @returns {number} Blend factor for the given time step
+ */
+export function frameBlend(factor, dt) {
+    return 1 - Math.pow(1 - factor, dt * 60);
+}
+
 /**
  * Convert hex color to RGB
  * @param {string} hex - Hex color
@@ -0,0 +1,99 @@
+// Self-play tournament command for Crazy Pong
+// Usage: node tools/tournament.mjs [config.json] [--ai easy,hard] [--matches N] [--seed N] [--format json|csv] [--out file]
+// The config file holds overrides for DEFAULT_TOURNAMENT; entrants may be { name, bot: 'path/to/bot.js' },
+// and chaos settings may name a profile file as { name, profile: 'path/to/profile.json' }.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { runTournament, resultsToCSV } from '../modules/tournament.js';
+import { loadBot } from '../modules/controllers.js';
+import { parseChaosProfile } from '../modules/profiles.js';
+
+/**
+ * Parse the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options: { configPath, ai, matches, seed, format, out }
+ * @throws {Error} On unknown or incomplete options
+ */
+function parseArgs(args) {
+    const options = { configPath: null, ai: null, matches: null, seed: null, format: 'json', out: null };
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            options.configPath = arg;
+            continue;
+        }
+        
+        const key = arg.slice(2);
+        const value = args[++i];
+        if (!(key in options) || key === 'configPath' || value === undefined) {
+            throw new Error(`Unknown or incomplete option ${arg}`);
+        }
+        options[key] = key === 'matches' || key === 'seed' ? Number(value) : value;
+    }
+    
+    if (options.format !== 'json' && options.format !== 'csv') {
+        throw new Error('--format must be json or csv');
+    }
+    return options;
+}
+
+/**
+ * Build the tournament config from the config file and command line
+ * @param {Object} options - Parsed command line
+ * @returns {Promise<Object>} Tournament config with bots loaded as controllers and chaos profiles read
+ */
+async function loadConfig(options) {
+    const config = options.configPath ? JSON.parse(readFileSync(options.configPath, 'utf8')) : {};
+    
+    // --ai easy,hard plays the listed built-in levels against each other
+    if (options.ai) {
+        config.entrants = options.ai.split(',').map(level => ({ name: level, ai: level }));
+    }
+    if (options.matches !== null) config.matches = options.matches;
+    if (options.seed !== null) config.seed = options.seed;
+    
+    // Bot paths are relative to the working directory
+    if (config.entrants) {
+        config.entrants = await Promise.all(config.entrants.map(async entrant => {
+            if (!entrant.bot) return entrant;
+            const controller = await loadBot(pathToFileURL(resolve(entrant.bot)).href, entrant.name);
+            return { ...entrant, name: entrant.name || controller.name, controller };
+        }));
+    }
+    
+    // So are chaos profile paths
+    if (config.chaos) {
+        config.chaos = config.chaos.map(chaos => {
+            if (typeof chaos.profile !== 'string') return chaos;
+            try {
+                return { ...chaos, profile: parseChaosProfile(readFileSync(chaos.profile, 'utf8')) };
+            } catch (error) {
+                throw new Error(`${chaos.profile}: ${error.message}`);
+            }
+        });
+    }
+    return config;
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const config = await loadConfig(options);
+    
+    // Progress goes to stderr so the results can be piped
+    const results = runTournament(config, (result, pairing) => {
+        const { left, right } = result.players;
+        process.stderr.write(`[${pairing.chaos}] seed ${result.seed}: ${left} ${result.score.left}-${result.score.right} ${right}\n`);
+    });
+    
+    const output = options.format === 'csv' ? resultsToCSV(results) : JSON.stringify(results, null, 2) + '\n';
+    if (options.out) {
+        writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+} catch (error) {
+    process.stderr.write(`tournament: ${error.message}\n`);
+    process.exitCode = 1;
+}